@@ -1,9 +0,0 @@
-// Copy this file to `config.js` and fill in your real API keys.
-// Commit `config.js` to source control.
-
-window.NASA_CONFIG = {
-  // Your NASA API key for APOD and other Open APIs
-  APOD_API_KEY: 'A8tgVmkQzQwHej4dPOLKkh1sGw2GAFJtrGpQ4b8A',
-  // Your OMDb API key (optional)
-  OMDB_API_KEY: 'b079e78c'
-};
\ No newline at end of file
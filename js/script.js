@@ -2,10 +2,14 @@
   Beginner-friendly JS for NASA Space Explorer
   - Uses const/let and template literals
   - Adds comments to explain each part
-  - Reads API keys from window.NASA_CONFIG (config.js) or localStorage fallback
+  - Never handles API keys: every keyed upstream (APOD API, OMDb) is called by server.js
   - Uses /apod-proxy for APOD date lookups (server-side proxy)
-  - Uses images-api.nasa.gov for free-text searches
-  - Caches results in localStorage with TTL
+  - Uses /images-search (server proxy for images-api.nasa.gov) for free-text searches
+  - Uses /apod-search to search APOD titles/explanations when "APOD archive" is picked
+  - Uses /apod-range for the calendar view (one thumbnail per day)
+  - Saves starred items in named collections in IndexedDB, with JSON export/import
+  - Mirrors the search, date, filters and open item into the URL (History API)
+  - Caches search results in localStorage with TTL (APOD lookups use the browser HTTP cache)
   - Implements an accessible lightbox with focus-trap
   - Adds a fun fact at the top and a small debug overlay (Ctrl/Cmd+D)
 */
@@ -14,15 +18,38 @@
   // Config / constants
   const CACHE_PREFIX = 'nasa_cache_';
   const CACHE_TTL_MS = 1000 * 60 * 60 * 6; // 6 hours for cached search results
-  const APOD_CACHE_TTL_MS = 1000 * 60 * 60 * 24; // 24 hours for APOD results
-  const IMAGES_API_BASE = 'https://images-api.nasa.gov';
   const APOD_PROXY_PATH = '/apod-proxy'; // server endpoint (server.js)
-  const OMDB_BASE = 'https://www.omdbapi.com/';
+  const IMAGES_SEARCH_PATH = '/images-search'; // server endpoint (server.js)
+  const IMAGES_ASSET_PATH = '/images-asset'; // server endpoint: files of one NASA Images item
+  const APOD_SEARCH_PATH = '/apod-search'; // server endpoint (server.js)
+  const APOD_DATES_PATH = '/apod-dates'; // server endpoint: first APOD date and "today" (US Eastern)
+  const APOD_RANGE_PATH = '/apod-range'; // server endpoint: one entry per day in a date range
+  const RANGE_MAX_DAYS = 100; // keep in sync with RANGE_MAX_DAYS in server.js
+  const MEDIA_PROXY_PATH = '/media'; // server endpoint that caches NASA media
+  // Media URLs the /media proxy accepts (same rules as DEFAULT_MEDIA_SOURCES in lib/media-proxy.js)
+  const MEDIA_PROXY_SOURCES = [
+    { host: 'apod.nasa.gov', path: /^\/apod\/image\// },
+    { host: 'images-assets.nasa.gov', path: /^\/(image|video|audio)\// },
+    { host: 'web.archive.org', path: /^\/web\/\d{1,14}(im_|id_)?\/https?:\/\/apod\.nasa\.gov\/apod\/image\// },
+  ];
+  const OMDB_LOOKUP_PATH = '/omdb-lookup'; // server endpoint (server.js) holding the OMDb key
+  // Keys older versions of the app kept in localStorage; removed on startup
+  const LEGACY_KEY_STORAGE = ['api_key_nasa', 'api_key_omdb'];
+  // Favorites live in IndexedDB (one record per named collection); the selected
+  // collection's name is kept in localStorage. "Clear Cache" leaves both alone.
+  const FAVORITES_DB_NAME = 'nasa_space_explorer';
+  const FAVORITES_DB_VERSION = 1;
+  const COLLECTIONS_STORE = 'collections';
+  const ACTIVE_COLLECTION_KEY = 'nasa_active_collection';
+  const DEFAULT_COLLECTION = 'Favorites';
+  const COLLECTION_EXPORT_FORMAT = 'nasa-space-explorer-collection';
+  const MAX_COLLECTION_NAME = 60;
 
   // Helpful DOM selectors (will be assigned on DOMContentLoaded)
   let getImageBtn;
   let clearCacheBtn;
   let queryInput;
+  let searchModeSelect;
   let numSelect;
   let dateSelect;
   let gallery;
@@ -34,75 +61,72 @@
   let lightboxMeta;
   let funFactEl;
   let sourceLabelEl;
+  let advancedFiltersEl;
+  let activeFiltersEl;
+  let facetsEl;
+  let monthSelect;
+  let endDateSelect;
+  let calendarBtn;
+  let collectionsBar;
+  let collectionSelect;
+  let importCollectionFile;
+  let lightboxStar;
   
-  // key manager elements
-  let apodKeyInput;
-  let omdbKeyInput;
-  let saveKeysBtn;
-  let clearKeysBtn;
-
   // Lightbox focus tracking
   let lastFocusedBeforeLightbox = null;
 
-  // Read keys from config.js (window.NASA_CONFIG) or localStorage fallback
-  function getApiKeys() {
-    const cfg = window.NASA_CONFIG || {};
-    const apodKey = cfg.APOD_API_KEY || localStorage.getItem('api_key_nasa') || 'DEMO_KEY';
-    const omdbKey = cfg.OMDB_API_KEY || localStorage.getItem('api_key_omdb') || '';
-    return { apodKey, omdbKey };
-  }
-
-  // Return which source is providing the APOD key (non-sensitive)
-  function keySourceInfo() {
-    const cfg = window.NASA_CONFIG || {};
-    const ls = localStorage.getItem('api_key_nasa');
-    let source = 'DEMO_KEY';
-    if (cfg.APOD_API_KEY) source = 'config.js';
-    else if (ls) source = 'localStorage';
-    return { source };
-  }
-
-  // Update key indicator (no sensitive data shown). This intentionally does not
-  // render or expose API key values in the UI. The function is kept so other
-  // code can call it, but it will not display secret material.
-  function updateKeyIndicator() {
-    try {
-      // Intentionally do not render the key value. If a non-sensitive label is
-      // desired in future, we can expose: `Key source: config.js | localStorage | demo`.
-      // For now, keep the UI free of API key text.
-      return;
-    } catch (e) { /* ignore */ }
-  }
-
-  // Save keys from inputs into localStorage
-  function saveKeysToLocalStorage() {
-    try {
-      const a = apodKeyInput && apodKeyInput.value && apodKeyInput.value.trim();
-      const o = omdbKeyInput && omdbKeyInput.value && omdbKeyInput.value.trim();
-      if (a) localStorage.setItem('api_key_nasa', a);
-      if (o) localStorage.setItem('api_key_omdb', o);
-      updateKeyIndicator();
-      setStatus('API keys saved locally.');
-      return true;
-    } catch (e) {
-      console.warn('Failed to save keys', e);
-      setStatus('Failed to save keys.');
-      return false;
-    }
-  }
-
-  function clearLocalKeys() {
+  // Advanced filters panel: input id -> /images-search parameter (and chip label)
+  const FILTER_FIELDS = [
+    { id: 'filterYearStart', param: 'year_start', label: 'From' },
+    { id: 'filterYearEnd', param: 'year_end', label: 'To' },
+    { id: 'filterCenter', param: 'center', label: 'Center' },
+    { id: 'filterPhotographer', param: 'photographer', label: 'Photographer' },
+    { id: 'filterKeywords', param: 'keywords', label: 'Keywords' },
+    { id: 'filterDescription', param: 'description', label: 'Description' }
+  ];
+  const DEFAULT_MEDIA_TYPES = ['image', 'video'];
+
+  // Paging state for the current images search (null when the gallery shows
+  // something else): { query, filters, count, nextPage, totalHits, shown, loading }
+  let pager = null;
+  let pagerObserver = null;
+
+  // Published APOD dates, filled in by applyApodDateRange() (today is US Eastern time)
+  const apodDates = { first: '1995-06-16', today: null };
+  // Settles once applyApodDateRange() is done (deep links wait for it, see restoreFromUrl)
+  let apodDatesLoaded = Promise.resolve();
+
+  // Calendar view: month ('YYYY-MM') -> promise of its /apod-range entries, so months
+  // fetched ahead of time (or visited before) show up at once. `calendarView` is the
+  // month or range on screen, used to ignore answers that arrive after the user moved on.
+  const calendarMonths = new Map();
+  let calendarView = null;
+
+  // Favorites state: name -> { name, created_at, updated_at, items: [{ key, saved_at, meta }] }.
+  // `favoritesReady` stays false when IndexedDB can't be used (e.g. some private windows),
+  // and `collectionView` is the name of the collection on screen (or null).
+  let collections = new Map();
+  let activeCollection = DEFAULT_COLLECTION;
+  let favoritesReady = false;
+  let collectionView = null;
+  let collectionsLoaded = Promise.resolve();
+
+  // Browser history: what the gallery shows (and the open item) is kept in the URL,
+  // e.g. ?q=nebula&count=9&center=JPL&item=PIA12345. `shownGalleryUrl` is the query
+  // string (without `item`) of the gallery on screen; `restoringHistory` is true while
+  // the app is rebuilding itself from the URL, when it must not add history entries.
+  const URL_FILTER_PARAMS = FILTER_FIELDS.map(field => field.param).concat('media_type');
+  const DEFAULT_COUNT = '6';
+  let shownGalleryUrl = '';
+  let restoringHistory = false;
+  let initialGalleryHtml = '';
+
+  // Earlier versions stored API keys in the browser. Keys now live only on the server,
+  // so clean up anything left behind.
+  function removeLegacyKeys() {
     try {
-      localStorage.removeItem('api_key_nasa');
-      localStorage.removeItem('api_key_omdb');
-      if (apodKeyInput) apodKeyInput.value = '';
-      if (omdbKeyInput) omdbKeyInput.value = '';
-      updateKeyIndicator();
-      setStatus('Local API keys removed.');
-    } catch (e) {
-      console.warn('Failed to clear keys', e);
-      setStatus('Failed to clear keys.');
-    }
+      LEGACY_KEY_STORAGE.forEach(name => localStorage.removeItem(name));
+    } catch (e) { /* storage unavailable */ }
   }
 
   // Simple status helper (updates aria-live region)
@@ -182,6 +206,20 @@
     funFactEl.textContent = `Fun space fact: ${FUN_FACTS[idx]}`;
   }
 
+  // Route NASA media through our server (/media?url=...) so it is cached and the
+  // user's browser never talks to those hosts directly. Other URLs (YouTube embeds,
+  // etc.) are returned unchanged.
+  function mediaUrl(url) {
+    if (!url) return '';
+    try {
+      const parsed = new URL(url, window.location.href);
+      const allowed = MEDIA_PROXY_SOURCES.some(s => parsed.hostname === s.host && s.path.test(parsed.pathname));
+      return allowed ? `${MEDIA_PROXY_PATH}?url=${encodeURIComponent(url)}` : url;
+    } catch (e) {
+      return url;
+    }
+  }
+
   // Utility: create a DOM node from HTML string
   function nodeFromHtml(html) {
     const template = document.createElement('template');
@@ -189,14 +227,22 @@
     return template.content.firstChild;
   }
 
-  // Render a placeholder (for no results)
+  // Escape text for use inside HTML markup and attribute values
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+  }
+
+  // Render a placeholder (for no results). `message` is plain text: it often
+  // contains search terms or names taken from the URL, so it is never parsed as HTML.
   function renderPlaceholder(message = 'No images found') {
     if (!gallery) return;
-    gallery.innerHTML = `
-      <div class="placeholder">
-        <p>${message}</p>
-      </div>
-    `;
+    const wrap = document.createElement('div');
+    wrap.className = 'placeholder';
+    const p = document.createElement('p');
+    p.textContent = message;
+    wrap.appendChild(p);
+    gallery.innerHTML = '';
+    gallery.appendChild(wrap);
   }
 
   // Render skeleton placeholders while loading
@@ -265,18 +311,24 @@
 
   // Render gallery items. items: array of objects with fields:
   // { title, url, thumbnail, media_type, date, nasa_id, description, photographer, center, keywords }
-  function renderGallery(items) {
+  // Render items as cards. With { append: true } the cards are added to the end of
+  // the existing .gallery-grid (used by "Load more") instead of replacing it.
+  function renderGallery(items, { append = false } = {}) {
     if (!gallery) return;
-    if (!items || !items.length) {
+    const existing = append ? gallery.querySelector('.gallery-grid') : null;
+    if (!existing) resetPager();
+    if (!existing && (!items || !items.length)) {
       renderPlaceholder('No images found for your query.');
       return;
     }
 
     // Build gallery HTML
-    const container = document.createElement('div');
+    const container = existing || document.createElement('div');
     container.className = 'gallery-grid';
+    const firstIdx = container.children.length;
 
-    items.forEach((item, idx) => {
+    items.forEach((item, i) => {
+      const idx = firstIdx + i;
       const thumb = item.thumbnail || item.url || '';
       const title = item.title || 'Untitled';
       const date = item.date || '';
@@ -288,7 +340,8 @@
       const cardHtml = `
         <article class="gallery-item" tabindex="0" data-idx="${idx}" role="button" aria-pressed="false">
           <div class="thumb-wrap">
-            <img src="${thumb}" alt="${title.replace(/"/g, '&quot;')}" loading="lazy" />
+            <img src="${mediaUrl(thumb)}" alt="${title.replace(/"/g, '&quot;')}" loading="lazy" />
+            <button type="button" class="star-btn" aria-pressed="false" aria-label="Save to collection">☆</button>
           </div>
           <div class="caption">
             <h3 class="title">${title}</h3>
@@ -297,7 +350,9 @@
               ${photographer ? `<span class="by"> — ${photographer}</span>` : ''}
               ${center ? `<span class="center"> (${center})</span>` : ''}
             </div>
-            ${desc ? `<p class="desc">${desc.slice(0, 140)}${desc.length > 140 ? '…' : ''}</p>` : ''}
+            ${item.snippet_html
+              ? `<p class="desc snippet">${item.snippet_html}</p>`
+              : (desc ? `<p class="desc">${desc.slice(0, 140)}${desc.length > 140 ? '…' : ''}</p>` : '')}
             ${keywords ? `<div class="keywords">${keywords}</div>` : ''}
           </div>
         </article>
@@ -306,22 +361,98 @@
 
       // Attach metadata on the DOM element for easy retrieval on click
       card._meta = item;
-      container.appendChild(card);
-    });
-
-    gallery.innerHTML = '';
-    gallery.appendChild(container);
+      setupStarButton(card.querySelector('.star-btn'), item);
 
-    // Attach click and keyboard handlers to open lightbox
-    container.querySelectorAll('.gallery-item').forEach(el => {
-      el.addEventListener('click', () => openLightbox(el._meta));
-      el.addEventListener('keydown', (e) => {
+      // Attach click and keyboard handlers to open lightbox
+      card.addEventListener('click', () => openLightbox(card._meta));
+      card.addEventListener('keydown', (e) => {
         if (e.key === 'Enter' || e.key === ' ') {
           e.preventDefault();
-          openLightbox(el._meta);
+          openLightbox(card._meta);
         }
       });
+      container.appendChild(card);
     });
+
+    if (!existing) {
+      gallery.innerHTML = '';
+      gallery.appendChild(container);
+    }
+  }
+
+  // Pager below the gallery for images searches: "Showing 6 of 1,234 results" and
+  // a "Load more" button. When the browser supports IntersectionObserver the next
+  // page also loads on its own as the pager scrolls into view (infinite scroll).
+  function resetPager() {
+    if (pagerObserver) pagerObserver.disconnect();
+    pagerObserver = null;
+    pager = null;
+    const old = document.getElementById('galleryPager');
+    if (old) old.remove();
+  }
+
+  function startPager(query, filters, count, page) {
+    pager = { query, filters, count, nextPage: page.next_page, totalHits: page.total_hits, shown: page.items.length, loading: false };
+    const el = nodeFromHtml(`
+      <div id="galleryPager" class="gallery-pager">
+        <p class="hit-count" aria-live="polite"></p>
+        <button type="button" class="load-more">Load more</button>
+      </div>
+    `);
+    el.querySelector('.load-more').addEventListener('click', loadMoreResults);
+    gallery.appendChild(el);
+    updatePager();
+
+    if (pager.nextPage && 'IntersectionObserver' in window) {
+      pagerObserver = new IntersectionObserver((entries) => {
+        if (entries.some(e => e.isIntersecting)) loadMoreResults();
+      }, { rootMargin: '200px' });
+      pagerObserver.observe(el);
+    }
+  }
+
+  function updatePager() {
+    const el = document.getElementById('galleryPager');
+    if (!el || !pager) return;
+    const total = pager.totalHits.toLocaleString();
+    const what = pager.query ? `for "${pager.query}"` : 'for your filters';
+    el.querySelector('.hit-count').textContent = `Showing ${pager.shown.toLocaleString()} of ${total} results ${what}`;
+    const btn = el.querySelector('.load-more');
+    btn.hidden = !pager.nextPage;
+    btn.disabled = pager.loading;
+    btn.textContent = pager.loading ? 'Loading…' : 'Load more';
+    if (!pager.nextPage && pagerObserver) {
+      pagerObserver.disconnect();
+      pagerObserver = null;
+    }
+  }
+
+  async function loadMoreResults() {
+    if (!pager || pager.loading || !pager.nextPage) return;
+    const current = pager;
+    current.loading = true;
+    updatePager();
+    try {
+      const page = await fetchImagesForQuery(current.query, current.count, current.nextPage, current.filters);
+      // A new search may have started while this page was loading
+      if (pager !== current) return;
+      renderGallery(page.items, { append: true });
+      current.shown += page.items.length;
+      current.nextPage = page.next_page;
+      setStatus(`Loaded page ${page.page} of the results`);
+    } catch (err) {
+      if (pager === current) setStatus('Could not load more results. Try the button again.');
+    } finally {
+      current.loading = false;
+      updatePager();
+      // If the pager is still on screen the observer won't fire again by itself;
+      // observing it afresh re-checks and keeps the scroll going
+      const el = document.getElementById('galleryPager');
+      if (pager === current && pagerObserver && el) {
+        pagerObserver.unobserve(el);
+        pagerObserver.observe(el);
+      }
+    }
   }
 
   // Lightbox helpers: open / close and render media + metadata
@@ -333,11 +464,25 @@
     lightboxMedia.innerHTML = '';
     lightboxMeta.innerHTML = '';
 
+    if (lightboxStar) {
+      lightboxStar._meta = meta;
+      lightboxStar.dataset.key = itemKey(meta);
+      updateStarButton(lightboxStar);
+    }
+
     // Move focus and show
     lightbox.removeAttribute('aria-hidden');
     lightbox.classList.add('open');
     lightboxClose.focus();
 
+    // Add the open item to the URL (?item=<nasa_id or date>) so Back closes the lightbox
+    const itemId = meta.nasa_id || meta.date;
+    if (itemId) {
+      const params = new URLSearchParams(shownGalleryUrl);
+      params.set('item', itemId);
+      setUrl(params, { lightbox: true });
+    }
+
     // Render media based on meta
     // APOD proxy responses may already contain media_type and url
     const title = meta.title || 'Preview';
@@ -378,77 +523,61 @@
       lightboxMedia.appendChild(iframe);
 
       renderMetaExtras('');
-      // Try OMDb lookup if an OMDb key is available and title looks like a movie
-      const { omdbKey } = getApiKeys();
-      if (omdbKey) {
-        // Best-effort movie lookup by title
-        fetch(`${OMDB_BASE}?apikey=${encodeURIComponent(omdbKey)}&t=${encodeURIComponent(title)}`)
-          .then(r => r.json())
-          .then(data => {
-            if (data && data.Response === 'True') {
-              const extra = `
-                <div class="omdb">
-                  ${data.Poster && data.Poster !== 'N/A' ? `<img class="omdb-poster" src="${data.Poster}" alt="${data.Title} poster" />` : ''}
-                  <div class="omdb-meta">
-                    <strong>${data.Title} (${data.Year})</strong>
-                    <div>${data.Genre || ''} ${data.imdbRating ? `— IMDb: ${data.imdbRating}` : ''}</div>
-                    ${data.imdbID ? `<a href="https://www.imdb.com/title/${data.imdbID}" target="_blank" rel="noopener">View on IMDb</a>` : ''}
-                  </div>
-                </div>
-              `;
-              // Append OMDb info to meta
-              const omdbContainer = document.createElement('div');
-              omdbContainer.innerHTML = extra;
-              lightboxMeta.appendChild(omdbContainer);
-            }
-          })
-          .catch(err => {
-            console.warn('OMDb lookup failed', err);
-          });
-      }
+      // Best-effort movie lookup by title through the server (which holds the OMDb key).
+      // 404 (no such film) and 503 (lookups not configured) are simply ignored.
+      fetch(`${OMDB_LOOKUP_PATH}?t=${encodeURIComponent(title)}`)
+        .then(r => (r.ok ? r.json() : null))
+        .then(movie => {
+          if (!movie || !movie.title) return;
+          const extra = `
+            <div class="omdb">
+              ${movie.poster ? `<img class="omdb-poster" src="${movie.poster}" alt="${movie.title.replace(/"/g, '&quot;')} poster" />` : ''}
+              <div class="omdb-meta">
+                <strong>${movie.title}${movie.year ? ` (${movie.year})` : ''}</strong>
+                <div>${movie.genre || ''} ${movie.imdb_rating ? `— IMDb: ${movie.imdb_rating}` : ''}</div>
+                ${movie.imdb_url ? `<a href="${movie.imdb_url}" target="_blank" rel="noopener">View on IMDb</a>` : ''}
+              </div>
+            </div>
+          `;
+          // Append OMDb info to meta
+          const omdbContainer = document.createElement('div');
+          omdbContainer.innerHTML = extra;
+          lightboxMeta.appendChild(omdbContainer);
+        })
+        .catch(err => {
+          console.warn('OMDb lookup failed', err);
+        });
     } else if (meta.media_type === 'image' || /\.(jpg|jpeg|png|gif)$/i.test(meta.url || '')) {
-      // Try to show a higher-resolution image if nasa_id is present by querying the NASA asset endpoint
+      // Try to show a higher-resolution image if nasa_id is present, using the item's
+      // file list from the server (/images-asset/<nasa_id>)
       const imgEl = document.createElement('img');
       imgEl.className = 'lb-image';
       if (nasaId) {
-        // Try assets endpoint to find better resolution or videos
-        fetch(`${IMAGES_API_BASE}/asset/${encodeURIComponent(nasaId)}`)
-          .then(r => r.json())
-          .then(data => {
-            // data.collection.items is an array of assets
-            if (data && data.collection && Array.isArray(data.collection.items)) {
-              // Prefer mp4 if present, otherwise largest image
-              const mp4 = data.collection.items.find(i => i.href && i.href.endsWith('.mp4'));
-              if (mp4) {
-                const video = document.createElement('video');
-                video.controls = true;
-                video.src = mp4.href;
-                video.className = 'lb-video';
-                lightboxMedia.appendChild(video);
-                renderMetaExtras('');
-                return;
-              }
-              // Find largest image (heuristic: last image item)
-              const images = data.collection.items.filter(i => i.href && i.href.match(/\.(jpg|jpeg|png|gif)$/i));
-              const best = images.length ? images[images.length - 1].href : meta.url;
-              imgEl.src = best || meta.url;
-              lightboxMedia.appendChild(imgEl);
+        fetch(`${IMAGES_ASSET_PATH}/${encodeURIComponent(nasaId)}`)
+          .then(r => (r.ok ? r.json() : null))
+          .then(assets => {
+            // Prefer the video file if there is one, otherwise the large image
+            if (assets && assets.video) {
+              const video = document.createElement('video');
+              video.controls = true;
+              video.src = mediaUrl(assets.video);
+              video.className = 'lb-video';
+              lightboxMedia.appendChild(video);
               renderMetaExtras('');
               return;
             }
-            // Fallback: use meta.url
-            imgEl.src = meta.url;
+            imgEl.src = mediaUrl((assets && assets.image) || meta.url);
             lightboxMedia.appendChild(imgEl);
             renderMetaExtras('');
           })
           .catch(() => {
             // fallback to meta.url
-            imgEl.src = meta.url;
+            imgEl.src = mediaUrl(meta.url);
             lightboxMedia.appendChild(imgEl);
             renderMetaExtras('');
           });
       } else {
-        imgEl.src = meta.url;
+        imgEl.src = mediaUrl(meta.url);
         lightboxMedia.appendChild(imgEl);
         renderMetaExtras('');
       }
@@ -462,10 +591,17 @@
     trapFocus(lightbox);
   }
 
-  function closeLightbox() {
-    if (!lightbox) return;
+  // `fromHistory` is set when Back/Forward closed it (the URL is already right)
+  function closeLightbox({ fromHistory = false } = {}) {
+    // Already closed (Escape can reach more than one handler)
+    if (!lightbox || !lightbox.classList.contains('open')) return;
     lightbox.setAttribute('aria-hidden', 'true');
     lightbox.classList.remove('open');
+    if (!fromHistory && new URLSearchParams(window.location.search).has('item')) {
+      // Undo the history entry opening it added, or just drop `item` from a loaded URL
+      if (history.state && history.state.lightbox) history.back();
+      else setUrl(new URLSearchParams(shownGalleryUrl), { push: false });
+    }
     // restore focus
     if (lastFocusedBeforeLightbox && typeof lastFocusedBeforeLightbox.focus === 'function') {
       lastFocusedBeforeLightbox.focus();
@@ -505,11 +641,24 @@
     observer.observe(modal, { attributes: true, attributeFilter: ['aria-hidden'] });
   }
 
+  // Normalize an APOD entry (from /apod-proxy or /apod-range) to the gallery item shape
+  function apodToItem(apod, fallbackDate = '') {
+    return {
+      title: apod.title || '',
+      url: apod.url || apod.hdurl || '',
+      thumbnail: apod.url || apod.thumbnail_url || '',
+      media_type: apod.media_type || (apod.url && apod.url.match(/\.(jpg|png|gif)$/i) ? 'image' : 'video'),
+      date: apod.date || fallbackDate,
+      description: apod.explanation || apod.description || '',
+      photographer: apod.copyright || '',
+      center: apod.site || ''
+    };
+  }
+
   // Fetch APOD via our server proxy (which can call APOD API and fallback to scrapes)
+  // APOD answers are not kept in localStorage: the proxy sends Cache-Control and ETag
+  // headers, so the browser's own HTTP cache keeps them for as long as they stay valid.
   async function fetchApodForDate(dateStr) {
-    const cacheKeyName = `apod_${dateStr}`;
-    const cached = loadCache(cacheKeyName, APOD_CACHE_TTL_MS);
-    if (cached) return cached;
     setStatus(`Fetching APOD for ${dateStr} via server proxy…`);
     try {
       // Always use the server-side proxy for APOD lookups. This avoids exposing
@@ -519,62 +668,348 @@
         const errText = await resp.text().catch(() => resp.statusText || 'error');
         throw new Error(errText);
       }
-      const data = await resp.json();
-      saveCache(cacheKeyName, data);
-      return data;
+      const apod = await resp.json();
+      // How the proxy answered is in a header, so the body stays cacheable as-is
+      apod.stale = resp.headers.get('X-Apod-Cache') === 'stale';
+      return apod;
     } catch (err) {
       setStatus(`APOD proxy fetch failed: ${err.message}`);
       throw err;
     }
   }
 
-  // Fetch images from NASA images-api for a free-text query
+  // Ask the server for the valid APOD date range and apply it to the date picker.
+  // The server works out "today" in US Eastern time, like NASA does, so the picker
+  // never offers a date that hasn't been published yet.
+  async function applyApodDateRange() {
+    if (!dateSelect) return;
+    try {
+      const resp = await fetch(APOD_DATES_PATH);
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const range = await resp.json();
+      apodDates.first = range.first_date;
+      apodDates.today = range.today;
+      dateSelect.min = range.first_date;
+      dateSelect.max = range.today;
+      if (endDateSelect) {
+        endDateSelect.min = range.first_date;
+        endDateSelect.max = range.today;
+      }
+      if (monthSelect) {
+        monthSelect.min = range.first_date.slice(0, 7);
+        monthSelect.max = range.today.slice(0, 7);
+      }
+      dateSelect.setAttribute('aria-label', `Select a date (${range.first_date} to ${range.today})`);
+    } catch (err) {
+      // Without the server we can't know "today" in US Eastern time; leave the picker open-ended
+      console.warn('Could not load APOD date range', err);
+    }
+  }
+
+  // Read the advanced filters panel into /images-search parameters (empty fields are
+  // left out; media_type is only sent when it differs from the default)
+  function readFilters() {
+    const filters = {};
+    FILTER_FIELDS.forEach(field => {
+      const el = document.getElementById(field.id);
+      const value = el && el.value.trim();
+      if (value) filters[field.param] = value;
+    });
+    const types = Array.from(document.querySelectorAll('input[name="filterMediaType"]:checked')).map(el => el.value);
+    if (types.length && types.join(',') !== DEFAULT_MEDIA_TYPES.join(',')) filters.media_type = types.join(',');
+    return filters;
+  }
+
+  // Change one filter in the panel. `value` '' (or null) clears it.
+  function setFilter(param, value) {
+    if (param === 'media_type') {
+      const wanted = value ? value.split(',') : DEFAULT_MEDIA_TYPES;
+      document.querySelectorAll('input[name="filterMediaType"]').forEach(el => {
+        el.checked = wanted.includes(el.value);
+      });
+      return;
+    }
+    const field = FILTER_FIELDS.find(f => f.param === param);
+    const el = field && document.getElementById(field.id);
+    if (el) el.value = value || '';
+  }
+
+  // Re-run the images search with the panel's current filters
+  function runFilteredSearch() {
+    if (dateSelect) dateSelect.value = '';
+    if (searchModeSelect) searchModeSelect.value = 'images';
+    handleFetchClick();
+  }
+
+  // Active filters as chips; the ✕ on a chip removes that filter and searches again
+  function renderFilterChips(filters) {
+    if (!activeFiltersEl) return;
+    activeFiltersEl.innerHTML = '';
+    Object.keys(filters).forEach(param => {
+      const field = FILTER_FIELDS.find(f => f.param === param);
+      const label = field ? field.label : 'Media';
+      const chip = document.createElement('span');
+      chip.className = 'filter-chip';
+      chip.textContent = `${label}: ${filters[param]}`;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = '✕';
+      remove.setAttribute('aria-label', `Remove filter ${label}: ${filters[param]}`);
+      remove.addEventListener('click', () => {
+        setFilter(param, '');
+        runFilteredSearch();
+      });
+      chip.appendChild(remove);
+      activeFiltersEl.appendChild(chip);
+    });
+  }
+
+  // Facet counts for the current results (computed by the server from this page of
+  // items). Clicking a value narrows the search to it.
+  function renderFacets(facets, filters) {
+    if (!facetsEl) return;
+    facetsEl.innerHTML = '';
+    if (!facets) return;
+
+    const keywordsNow = (filters.keywords || '').split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+    const groups = [
+      {
+        label: 'Center',
+        values: filters.center ? [] : facets.centers,
+        apply: value => setFilter('center', value)
+      },
+      {
+        label: 'Year',
+        values: filters.year_start && filters.year_start === filters.year_end ? [] : facets.years,
+        apply: value => { setFilter('year_start', value); setFilter('year_end', value); }
+      },
+      {
+        label: 'Media',
+        values: facets.media_types.length > 1 ? facets.media_types : [],
+        apply: value => setFilter('media_type', value)
+      },
+      {
+        label: 'Keyword',
+        values: facets.keywords.filter(k => !keywordsNow.includes(String(k.value).toLowerCase())),
+        apply: value => setFilter('keywords', keywordsNow.length ? `${filters.keywords}, ${value}` : value)
+      }
+    ];
+
+    groups.filter(group => group.values && group.values.length).forEach(group => {
+      const el = document.createElement('div');
+      el.className = 'facet-group';
+      const title = document.createElement('span');
+      title.textContent = `${group.label}:`;
+      el.appendChild(title);
+      group.values.forEach(({ value, count }) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'facet-value';
+        btn.textContent = `${value} (${count})`;
+        btn.addEventListener('click', () => {
+          group.apply(value);
+          runFilteredSearch();
+        });
+        el.appendChild(btn);
+      });
+      facetsEl.appendChild(el);
+    });
+  }
+
+  // ---- Deep links and browser history ----
+
+  // Change the URL to `params`: a new history entry, or an in-place update with
+  // { push: false }. `lightbox` marks entries added by opening the lightbox.
+  function setUrl(params, { push = true, lightbox: lightboxEntry = false } = {}) {
+    const search = params.toString();
+    const url = `${window.location.pathname}${search ? `?${search}` : ''}`;
+    const current = `${window.location.pathname}${window.location.search}`;
+    if (restoringHistory) {
+      // Keep the entry's own state so closing a restored lightbox still goes back
+      history.replaceState(history.state, '', url);
+    } else if (push && url !== current) {
+      history.pushState({ lightbox: lightboxEntry }, '', url);
+    } else {
+      history.replaceState({ lightbox: lightboxEntry }, '', url);
+    }
+  }
+
+  // URL parameters for what the gallery is about to show (read from the controls)
+  function galleryParams() {
+    const params = new URLSearchParams();
+    if (collectionView) {
+      params.set('collection', collectionView);
+      return params;
+    }
+    if (calendarView) {
+      if (calendarView.month) {
+        params.set('month', calendarView.month);
+      } else {
+        params.set('date', calendarView.start);
+        params.set('end', calendarView.end);
+      }
+      return params;
+    }
+    const date = dateSelect ? dateSelect.value : '';
+    const query = queryInput ? queryInput.value.trim() : '';
+    if (date) {
+      params.set('date', date);
+    } else if (searchModeSelect && searchModeSelect.value === 'apod' && query) {
+      params.set('q', query);
+      params.set('mode', 'apod');
+    } else {
+      const filters = readFilters();
+      // Same default as handleFetchClick: no query and no filters searches "space"
+      const q = query || (Object.keys(filters).length ? '' : 'space');
+      if (q) params.set('q', q);
+      Object.keys(filters).forEach(param => params.set(param, filters[param]));
+    }
+    const count = numSelect ? numSelect.value : DEFAULT_COUNT;
+    if (count !== DEFAULT_COUNT) params.set('count', count);
+    return params;
+  }
+
+  // Record the gallery about to be shown as a new history entry
+  function pushGalleryState() {
+    shownGalleryUrl = galleryParams().toString();
+    setUrl(new URLSearchParams(shownGalleryUrl));
+  }
+
+  // Put the URL's values into the search controls (missing ones are cleared)
+  function applyUrlToControls(params) {
+    if (queryInput) queryInput.value = params.get('q') || '';
+    if (searchModeSelect) searchModeSelect.value = params.get('mode') === 'apod' ? 'apod' : 'images';
+    if (dateSelect) dateSelect.value = params.get('date') || '';
+    if (endDateSelect) endDateSelect.value = params.get('end') || '';
+    if (monthSelect) monthSelect.value = params.get('month') || '';
+    if (numSelect) {
+      const count = params.get('count');
+      numSelect.value = Array.from(numSelect.options).some(o => o.value === count) ? count : DEFAULT_COUNT;
+    }
+    URL_FILTER_PARAMS.forEach(param => setFilter(param, params.get(param) || ''));
+    if (advancedFiltersEl && URL_FILTER_PARAMS.some(param => params.has(param))) advancedFiltersEl.open = true;
+  }
+
+  // Show the gallery described by `params` (controls already set by applyUrlToControls).
+  // Dates that aren't YYYY-MM-DD are ignored: URLs can be crafted by anyone.
+  async function showGalleryFromParams(params) {
+    const isDay = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+    const month = params.get('month');
+    const date = isDay(params.get('date')) ? params.get('date') : null;
+    const end = isDay(params.get('end')) ? params.get('end') : null;
+    if (params.has('collection')) {
+      await collectionsLoaded;
+      const name = params.get('collection');
+      if (favoritesReady && collections.has(name)) {
+        selectCollection(name);
+        showCollection();
+        return;
+      }
+      setStatus(`There is no collection called "${name}" in this browser.`);
+    } else if (month && /^\d{4}-\d{2}$/.test(month)) {
+      await showCalendarMonth(month);
+      return;
+    } else if (date && end) {
+      await showCalendarRange(date, end);
+      return;
+    } else if (date || params.has('q') || URL_FILTER_PARAMS.some(param => params.has(param))) {
+      await handleFetchClick();
+      return;
+    }
+    // Nothing to show: back to the start screen
+    resetPager();
+    renderFilterChips({});
+    renderFacets(null, {});
+    calendarView = null;
+    collectionView = null;
+    shownGalleryUrl = '';
+    gallery.innerHTML = initialGalleryHtml;
+    setSourceLabel('');
+  }
+
+  // The shown item (card or calendar day) whose nasa_id or date is `itemId`
+  function findShownItem(itemId) {
+    const elements = gallery ? gallery.querySelectorAll('.gallery-item, .cal-day.found') : [];
+    const match = Array.from(elements).find(el => el._meta && (el._meta.nasa_id === itemId || el._meta.date === itemId));
+    return match ? match._meta : null;
+  }
+
+  // Rebuild the page from the URL: on first load (deep links, share pages) and on
+  // Back/Forward. The gallery is only reloaded when it changed; otherwise just the
+  // lightbox is opened or closed.
+  async function restoreFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const itemId = params.get('item');
+    params.delete('item');
+    const lightboxOpen = lightbox && lightbox.classList.contains('open');
+
+    restoringHistory = true;
+    try {
+      // Month bounds and the picker limits come from the server's date range
+      await apodDatesLoaded;
+      if (params.toString() !== shownGalleryUrl) {
+        if (lightboxOpen) closeLightbox({ fromHistory: true });
+        applyUrlToControls(params);
+        await showGalleryFromParams(params);
+      }
+
+      if (!itemId) {
+        if (lightbox && lightbox.classList.contains('open')) closeLightbox({ fromHistory: true });
+        return;
+      }
+      if (lightbox && lightbox.classList.contains('open')) return;
+      let meta = findShownItem(itemId);
+      // An APOD day that isn't on screen (e.g. an old link) can still be fetched on its own
+      if (!meta && /^\d{4}-\d{2}-\d{2}$/.test(itemId)) {
+        meta = await fetchApodForDate(itemId).then(apod => apodToItem(apod, itemId)).catch(() => null);
+      }
+      if (meta) openLightbox(meta);
+      else setStatus(`Item ${itemId} is not in these results.`);
+    } finally {
+      restoringHistory = false;
+    }
+  }
+
+  // Fetch images for a free-text query via the server's /images-search route
+  // (which calls images-api.nasa.gov and normalizes the results for us).
   // Returns an array of simplified items used by renderGallery
-  async function fetchImagesForQuery(query, count = 6) {
-    const q = (query || 'space').trim();
-    const cacheKeyName = `search_${q}_${count}`;
+  // `count` is the page size, `page` the Images API page (1-based) and `filters` the
+  // advanced filters from readFilters(). Resolves to
+  // { items, total_hits, page, next_page, facets }; each page is cached on its own.
+  async function fetchImagesForQuery(query, count = 6, page = 1, filters = {}) {
+    const hasFilters = Object.keys(filters).length > 0;
+    // Without a search term or filters, show something rather than nothing
+    const q = (query || '').trim() || (hasFilters ? '' : 'space');
+    const filterKey = Object.keys(filters).sort().map(k => `${k}=${filters[k]}`).join('&');
+    const cacheKeyName = `search_${q}_${count}_p${page}${filterKey ? `_${filterKey}` : ''}`;
     const cached = loadCache(cacheKeyName);
     if (cached) {
       return cached;
     }
 
-    setStatus(`Searching NASA images for "${q}"…`);
-    // images-api supports media_type param; include images & video
-    const url = `${IMAGES_API_BASE}/search?q=${encodeURIComponent(q)}&media_type=image,video`;
+    setStatus(`Searching NASA images${q ? ` for "${q}"` : ''}${page > 1 ? ` (page ${page})` : ''}…`);
+    // include images & video unless the filters pick media types; page_size limits how many items come back
+    const params = new URLSearchParams({ media_type: DEFAULT_MEDIA_TYPES.join(','), ...filters, page_size: count, page });
+    if (q) params.set('q', q);
+    const url = `${IMAGES_SEARCH_PATH}?${params.toString()}`;
 
     try {
       const resp = await fetch(url);
       if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
       const json = await resp.json();
 
-      // Parse the API response into our simplified list
-      const items = (json.collection && json.collection.items ? json.collection.items : [])
-        .filter(i => {
-          // skip items without links
-          return Array.isArray(i.links) && i.links.length;
-        })
-        .slice(0, count)
-        .map(i => {
-          // asset metadata is in i.data[0], link(s) in i.links
-          const d = (i.data && i.data[0]) || {};
-          const link = (i.links && i.links[0] && i.links[0].href) || '';
-          const thumb = (i.links && i.links.find(l => l.rel === 'preview') && i.links.find(l => l.rel === 'preview').href) || link;
-          return {
-            title: d.title || d.description || '',
-            url: link,
-            thumbnail: thumb,
-            media_type: d.media_type || (link.match(/\.(jpg|png|gif)$/i) ? 'image' : 'video'),
-            date: d.date_created || '',
-            nasa_id: d.nasa_id || d.identifier || '',
-            description: d.description || '',
-            photographer: d.photographer || d.center || '',
-            center: d.center || '',
-            keywords: d.keywords || []
-          };
-        });
-
-      saveCache(cacheKeyName, items);
-      return items;
+      // The server already returns items in the shape renderGallery expects:
+      // { title, url, thumbnail, media_type, date, nasa_id, description, photographer, center, keywords }
+      const result = {
+        items: (json.items || []).slice(0, count),
+        total_hits: json.total_hits || 0,
+        page: json.page || page,
+        next_page: json.next_page || null,
+        facets: json.facets || null
+      };
+
+      saveCache(cacheKeyName, result);
+      return result;
     } catch (err) {
       setStatus(`Search failed: ${err.message}`);
       console.error(err);
@@ -582,6 +1017,567 @@
     }
   }
 
+  // Full-text search over APOD entries the server knows about (/apod-search).
+  // Hits are mapped to the same item shape renderGallery uses; `snippet_html` is a
+  // short piece of the explanation with the matching words wrapped in <mark>
+  // (the server escapes everything else).
+  async function fetchApodSearch(query, count = 6) {
+    const q = (query || '').trim();
+    const cacheKeyName = `apodsearch_${q}_${count}`;
+    const cached = loadCache(cacheKeyName);
+    if (cached) return cached;
+
+    setStatus(`Searching APOD entries for "${q}"…`);
+    const resp = await fetch(`${APOD_SEARCH_PATH}?q=${encodeURIComponent(q)}&limit=${count}`);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const json = await resp.json();
+
+    const items = (json.results || []).map(hit => ({
+      title: hit.title || '',
+      url: hit.url || hit.hdurl || '',
+      thumbnail: hit.thumbnail_url || hit.url || '',
+      media_type: hit.media_type || 'image',
+      date: hit.date || '',
+      description: hit.explanation || '',
+      photographer: hit.copyright || '',
+      snippet_html: hit.highlights && hit.highlights.snippet
+    }));
+    saveCache(cacheKeyName, items);
+    return items;
+  }
+
+  // ---- Calendar view ----
+  // Shows one cell per day with the APOD thumbnail. Days the server couldn't resolve
+  // are marked "No APOD"; clicking any other day opens it in the lightbox. Dates are
+  // handled as UTC midnights so the user's time zone never shifts a day.
+
+  function isoDate(d) {
+    return d.toISOString().slice(0, 10);
+  }
+
+  function addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return isoDate(d);
+  }
+
+  // 'YYYY-MM' moved by `delta` months
+  function shiftMonth(month, delta) {
+    const [y, m] = month.split('-').map(Number);
+    return isoDate(new Date(Date.UTC(y, m - 1 + delta, 1))).slice(0, 7);
+  }
+
+  function lastApodDate() {
+    return apodDates.today || isoDate(new Date());
+  }
+
+  // First and last published day of a month, or null when nothing was published in it
+  function monthBounds(month) {
+    const [y, m] = month.split('-').map(Number);
+    const first = `${month}-01`;
+    const last = isoDate(new Date(Date.UTC(y, m, 0)));
+    const start = first < apodDates.first ? apodDates.first : first;
+    const end = last > lastApodDate() ? lastApodDate() : last;
+    return start <= end ? { start, end } : null;
+  }
+
+  async function fetchApodRange(start, end) {
+    const resp = await fetch(`${APOD_RANGE_PATH}?start_date=${start}&end_date=${end}`);
+    if (!resp.ok) {
+      const body = await resp.json().catch(() => ({}));
+      throw new Error(body.error || `HTTP ${resp.status}`);
+    }
+    return resp.json();
+  }
+
+  // Entries for a month, fetched once and shared (a failed fetch is forgotten so it can be retried)
+  function loadCalendarMonth(month) {
+    if (!calendarMonths.has(month)) {
+      const bounds = monthBounds(month);
+      const request = bounds ? fetchApodRange(bounds.start, bounds.end) : Promise.resolve([]);
+      request.catch(() => calendarMonths.delete(month));
+      calendarMonths.set(month, request);
+    }
+    return calendarMonths.get(month);
+  }
+
+  // Fetch the months before and after in the background so paging feels instant
+  function prefetchNeighbourMonths(month) {
+    [shiftMonth(month, -1), shiftMonth(month, 1)].forEach(other => {
+      if (monthBounds(other)) loadCalendarMonth(other).catch(() => {});
+    });
+  }
+
+  function calendarDayHtml(day, entry) {
+    const num = Number(day.slice(8));
+    if (!entry) {
+      return `<div class="cal-day empty" aria-hidden="true"><span class="cal-num">${num}</span></div>`;
+    }
+    if (!entry.source) {
+      return `
+        <div class="cal-day missing" title="${escapeHtml(entry.error || 'No APOD found')}">
+          <span class="cal-num">${num}</span>
+          <span class="cal-label">No APOD</span>
+        </div>`;
+    }
+    const item = apodToItem(entry, day);
+    const thumb = item.media_type === 'video' ? entry.thumbnail_url : item.thumbnail;
+    const label = escapeHtml(`${day}: ${item.title || 'Untitled'}`);
+    return `
+      <div class="cal-day found" tabindex="0" role="button" data-date="${day}" aria-label="${label}" title="${label}">
+        <span class="cal-num">${num}</span>
+        ${thumb ? `<img src="${mediaUrl(thumb)}" alt="" loading="lazy" />` : `<span class="cal-label">${item.media_type === 'video' ? '▶ Video' : escapeHtml(item.title || '')}</span>`}
+      </div>`;
+  }
+
+  // Render a calendar grid for the days `start`..`end` (padded to whole weeks).
+  // `entries` is the /apod-range answer; `nav` holds the months for the ‹ / › buttons.
+  // `heading` is plain text (it can come from the URL) and is escaped here.
+  function renderCalendar({ heading, start, end, entries, nav = null }) {
+    const safeHeading = escapeHtml(heading);
+    const byDate = new Map(entries.map(entry => [entry.date, entry]));
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const startDay = new Date(`${start}T00:00:00Z`).getUTCDay();
+
+    const cells = [];
+    for (let i = 0; i < startDay; i++) cells.push('<div class="cal-day empty" aria-hidden="true"></div>');
+    for (let day = start; day <= end; day = addDays(day, 1)) {
+      cells.push(calendarDayHtml(day, byDate.get(day)));
+    }
+
+    gallery.innerHTML = `
+      <section class="calendar" aria-label="${safeHeading}">
+        <div class="calendar-header">
+          <button type="button" class="cal-prev" aria-label="Previous month" ${nav && nav.prev ? '' : 'hidden'}>‹</button>
+          <h2>${safeHeading}</h2>
+          <button type="button" class="cal-next" aria-label="Next month" ${nav && nav.next ? '' : 'hidden'}>›</button>
+        </div>
+        <div class="calendar-grid">
+          ${weekdays.map(w => `<div class="calendar-weekday">${w}</div>`).join('')}
+          ${cells.join('')}
+        </div>
+      </section>
+    `;
+
+    gallery.querySelectorAll('.cal-day.found').forEach(cell => {
+      const item = apodToItem(byDate.get(cell.dataset.date), cell.dataset.date);
+      cell._meta = item;
+      cell.addEventListener('click', () => openLightbox(item));
+      cell.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          openLightbox(item);
+        }
+      });
+    });
+    if (nav && nav.prev) gallery.querySelector('.cal-prev').addEventListener('click', () => showCalendarMonth(nav.prev));
+    if (nav && nav.next) gallery.querySelector('.cal-next').addEventListener('click', () => showCalendarMonth(nav.next));
+  }
+
+  function calendarSummary(entries) {
+    const missing = entries.filter(entry => !entry.source).length;
+    return missing ? `${entries.length - missing} of ${entries.length} days found` : `${entries.length} days`;
+  }
+
+  async function showCalendarMonth(month) {
+    const bounds = monthBounds(month);
+    if (!bounds) {
+      setStatus('No APODs were published in that month.');
+      return;
+    }
+    calendarView = { month };
+    pushGalleryState();
+    if (monthSelect) monthSelect.value = month;
+    const [y, m] = month.split('-').map(Number);
+    const heading = new Date(Date.UTC(y, m - 1, 1)).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    const prev = monthBounds(shiftMonth(month, -1)) ? shiftMonth(month, -1) : null;
+    const next = monthBounds(shiftMonth(month, 1)) ? shiftMonth(month, 1) : null;
+
+    setStatus(`Loading ${heading}…`);
+    showLoading(true);
+    try {
+      const entries = await loadCalendarMonth(month);
+      if (!calendarView || calendarView.month !== month) return; // the user moved on
+      renderCalendar({ heading, start: `${month}-01`, end: isoDate(new Date(Date.UTC(y, m, 0))), entries, nav: { prev, next } });
+      setStatus(`${heading}: ${calendarSummary(entries)}`);
+      setSourceLabel('apod-range');
+      prefetchNeighbourMonths(month);
+    } catch (err) {
+      if (!calendarView || calendarView.month !== month) return;
+      renderPlaceholder(`Could not load ${heading}: ${err.message}`);
+      setStatus(`Calendar failed: ${err.message}`);
+    } finally {
+      showLoading(false);
+    }
+  }
+
+  async function showCalendarRange(start, end) {
+    if (start > end) {
+      setStatus('The range end must not be before the start date.');
+      return;
+    }
+    const days = Math.round((Date.parse(end) - Date.parse(start)) / 86400000) + 1;
+    if (days > RANGE_MAX_DAYS) {
+      setStatus(`Calendar ranges are limited to ${RANGE_MAX_DAYS} days.`);
+      return;
+    }
+    const view = { start, end };
+    calendarView = view;
+    pushGalleryState();
+    const heading = `${start} – ${end}`;
+
+    setStatus(`Loading ${heading}…`);
+    showLoading(true);
+    try {
+      const entries = await fetchApodRange(start, end);
+      if (calendarView !== view) return;
+      renderCalendar({ heading, start, end, entries });
+      setStatus(`${heading}: ${calendarSummary(entries)}`);
+      setSourceLabel('apod-range');
+    } catch (err) {
+      if (calendarView !== view) return;
+      renderPlaceholder(`Could not load ${heading}: ${err.message}`);
+      setStatus(`Calendar failed: ${err.message}`);
+    } finally {
+      showLoading(false);
+    }
+  }
+
+  // "Show Calendar": the date picker + "Range end" give a range; otherwise show the
+  // picked month (or the date picker's month, or the current month)
+  function handleCalendarClick() {
+    // The calendar replaces the gallery, so drop any images search state
+    resetPager();
+    renderFilterChips({});
+    renderFacets(null, {});
+    collectionView = null;
+
+    const start = dateSelect && dateSelect.value;
+    const end = endDateSelect && endDateSelect.value;
+    if (start && end) return showCalendarRange(start, end);
+    const month = (monthSelect && monthSelect.value) || (start ? start.slice(0, 7) : lastApodDate().slice(0, 7));
+    return showCalendarMonth(month);
+  }
+
+  // ---- Favorites and collections ----
+  // A star on each card (and in the lightbox) saves the item's metadata into the
+  // selected collection. Collections are kept in IndexedDB, can be shown in the
+  // gallery, and can be exported to / imported from JSON files to share with others.
+
+  let favoritesDbPromise = null;
+
+  function openFavoritesDb() {
+    if (!favoritesDbPromise) {
+      favoritesDbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('IndexedDB is not available in this browser'));
+          return;
+        }
+        const req = window.indexedDB.open(FAVORITES_DB_NAME, FAVORITES_DB_VERSION);
+        req.onupgradeneeded = () => {
+          req.result.createObjectStore(COLLECTIONS_STORE, { keyPath: 'name' });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return favoritesDbPromise;
+  }
+
+  // Run `action(store)` in a transaction; resolves with the request's result once committed
+  async function collectionsTx(mode, action) {
+    const db = await openFavoritesDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(COLLECTIONS_STORE, mode);
+      const req = action(tx.objectStore(COLLECTIONS_STORE));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Stable id for an item: NASA id when there is one, otherwise date + title, or the URL
+  function itemKey(meta) {
+    if (!meta) return '';
+    if (meta.nasa_id) return `nasa:${meta.nasa_id}`;
+    if (meta.date && meta.title) return `apod:${meta.date}:${meta.title}`;
+    return meta.url ? `url:${meta.url}` : '';
+  }
+
+  // Collections may come from someone else's export, and the gallery renders these
+  // fields as HTML, so keep only plain text and http(s) links
+  function cleanText(value, max = 5000) {
+    return typeof value === 'string' ? value.replace(/[<>]/g, '').slice(0, max) : '';
+  }
+
+  function cleanUrl(value) {
+    if (typeof value !== 'string' || !value) return '';
+    try {
+      const u = new URL(value, window.location.href);
+      return u.protocol === 'https:' || u.protocol === 'http:' ? u.href : '';
+    } catch (e) {
+      return '';
+    }
+  }
+
+  // The gallery item fields worth saving (search snippets and other extras are dropped)
+  function cleanMeta(meta) {
+    const clean = {
+      title: cleanText(meta.title, 300),
+      url: cleanUrl(meta.url),
+      thumbnail: cleanUrl(meta.thumbnail),
+      thumbnail_url: cleanUrl(meta.thumbnail_url),
+      media_type: ['image', 'video', 'audio'].includes(meta.media_type) ? meta.media_type : 'image',
+      date: cleanText(meta.date || meta.date_created, 40),
+      nasa_id: cleanText(meta.nasa_id, 200),
+      description: cleanText(meta.description || meta.explanation),
+      photographer: cleanText(meta.photographer || meta.credit || meta.copyright, 300),
+      center: cleanText(meta.center, 100),
+      keywords: Array.isArray(meta.keywords) ? meta.keywords.map(k => cleanText(k, 100)).filter(Boolean).slice(0, 20) : []
+    };
+    Object.keys(clean).forEach(field => {
+      if (clean[field] === '' || (Array.isArray(clean[field]) && !clean[field].length)) delete clean[field];
+    });
+    return clean;
+  }
+
+  function newCollection(name) {
+    const now = new Date().toISOString();
+    return { name, created_at: now, updated_at: now, items: [] };
+  }
+
+  async function saveCollection(collection) {
+    collection.updated_at = new Date().toISOString();
+    await collectionsTx('readwrite', store => store.put(collection));
+    collections.set(collection.name, collection);
+  }
+
+  // Is the item with this key in the selected collection?
+  function isSaved(key) {
+    const collection = collections.get(activeCollection);
+    return Boolean(favoritesReady && collection && key && collection.items.some(entry => entry.key === key));
+  }
+
+  function updateStarButton(btn) {
+    btn.hidden = !favoritesReady || !btn.dataset.key;
+    const saved = isSaved(btn.dataset.key);
+    btn.textContent = saved ? '★' : '☆';
+    btn.setAttribute('aria-pressed', saved ? 'true' : 'false');
+    btn.setAttribute('aria-label', saved ? `Remove from "${activeCollection}"` : `Save to "${activeCollection}"`);
+  }
+
+  function updateAllStarButtons() {
+    document.querySelectorAll('.star-btn').forEach(updateStarButton);
+  }
+
+  function setupStarButton(btn, meta) {
+    if (!btn) return;
+    btn.dataset.key = itemKey(meta);
+    updateStarButton(btn);
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation(); // don't open the lightbox
+      toggleFavorite(meta);
+    });
+    // Keep Enter/Space on the star from reaching the card's keyboard handler
+    btn.addEventListener('keydown', (e) => e.stopPropagation());
+  }
+
+  // Add the item to the selected collection, or remove it when it's already there
+  async function toggleFavorite(meta) {
+    if (!favoritesReady) return;
+    const key = itemKey(meta);
+    if (!key) return;
+    const collection = collections.get(activeCollection) || newCollection(activeCollection);
+    const wasSaved = isSaved(key);
+    const updated = {
+      ...collection,
+      items: wasSaved
+        ? collection.items.filter(entry => entry.key !== key)
+        : [{ key, saved_at: new Date().toISOString(), meta: cleanMeta(meta) }, ...collection.items]
+    };
+    try {
+      await saveCollection(updated);
+      setStatus(wasSaved ? `Removed from "${activeCollection}"` : `Saved to "${activeCollection}"`);
+    } catch (err) {
+      setStatus(`Could not update "${activeCollection}": ${err.message}`);
+      return;
+    }
+    renderCollectionSelect();
+    updateAllStarButtons();
+    // Un-starring while looking at the collection removes the card
+    if (wasSaved && collectionView === activeCollection) showCollection();
+  }
+
+  function renderCollectionSelect() {
+    if (!collectionSelect) return;
+    const names = Array.from(collections.keys()).sort((a, b) => a.localeCompare(b));
+    collectionSelect.innerHTML = '';
+    names.forEach(name => {
+      const count = collections.get(name).items.length;
+      collectionSelect.appendChild(new Option(`${name} (${count})`, name, false, name === activeCollection));
+    });
+  }
+
+  function selectCollection(name) {
+    activeCollection = name;
+    try { localStorage.setItem(ACTIVE_COLLECTION_KEY, name); } catch (e) {}
+    renderCollectionSelect();
+    updateAllStarButtons();
+  }
+
+  // Load every collection from IndexedDB (creating the default one on first use)
+  async function loadCollections() {
+    try {
+      const all = await collectionsTx('readonly', store => store.getAll());
+      collections = new Map(all.map(collection => [collection.name, collection]));
+      if (!collections.size) await saveCollection(newCollection(DEFAULT_COLLECTION));
+      favoritesReady = true;
+    } catch (err) {
+      console.warn('Favorites are unavailable', err);
+      favoritesReady = false;
+      if (collectionsBar) collectionsBar.hidden = true;
+      updateAllStarButtons();
+      return;
+    }
+    let saved = null;
+    try { saved = localStorage.getItem(ACTIVE_COLLECTION_KEY); } catch (e) {}
+    selectCollection(saved && collections.has(saved) ? saved : collections.keys().next().value);
+  }
+
+  function cleanCollectionName(value) {
+    return cleanText(value, MAX_COLLECTION_NAME).replace(/\s+/g, ' ').trim();
+  }
+
+  async function handleNewCollection() {
+    if (!favoritesReady) return;
+    const name = cleanCollectionName(window.prompt('Name for the new collection:') || '');
+    if (!name) return;
+    if (!collections.has(name)) {
+      try {
+        await saveCollection(newCollection(name));
+      } catch (err) {
+        setStatus(`Could not create "${name}": ${err.message}`);
+        return;
+      }
+    }
+    selectCollection(name);
+    setStatus(`Starred items now go to "${name}"`);
+  }
+
+  async function handleDeleteCollection() {
+    if (!favoritesReady) return;
+    const name = activeCollection;
+    const count = collections.has(name) ? collections.get(name).items.length : 0;
+    if (!window.confirm(`Delete the collection "${name}" and its ${count} saved items?`)) return;
+    try {
+      await collectionsTx('readwrite', store => store.delete(name));
+      collections.delete(name);
+      if (!collections.size) await saveCollection(newCollection(DEFAULT_COLLECTION));
+    } catch (err) {
+      setStatus(`Could not delete "${name}": ${err.message}`);
+      return;
+    }
+    selectCollection(collections.keys().next().value);
+    if (collectionView === name) showCollection();
+    setStatus(`Deleted "${name}"`);
+  }
+
+  // Show the selected collection in the gallery (newest first)
+  function showCollection() {
+    if (!favoritesReady) return;
+    resetPager();
+    renderFilterChips({});
+    renderFacets(null, {});
+    calendarView = null;
+
+    const collection = collections.get(activeCollection) || newCollection(activeCollection);
+    collectionView = collection.name;
+    pushGalleryState();
+    if (collection.items.length) {
+      renderGallery(collection.items.map(entry => entry.meta));
+    } else {
+      renderPlaceholder(`"${collection.name}" is empty. Star items to add them.`);
+    }
+    setStatus(`Showing ${collection.items.length} saved items from "${collection.name}"`);
+    setSourceLabel('collection');
+  }
+
+  // Download the selected collection as a JSON file
+  function exportCollection() {
+    if (!favoritesReady) return;
+    const collection = collections.get(activeCollection) || newCollection(activeCollection);
+    const data = {
+      format: COLLECTION_EXPORT_FORMAT,
+      version: 1,
+      exported_at: new Date().toISOString(),
+      collections: [{
+        name: collection.name,
+        created_at: collection.created_at,
+        items: collection.items.map(entry => ({ ...entry.meta, saved_at: entry.saved_at }))
+      }]
+    };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${collection.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'collection'}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    setStatus(`Exported ${collection.items.length} items from "${collection.name}"`);
+  }
+
+  // Merge collections from an exported file: items are added to the collection with
+  // the same name (created if needed); items already in it are skipped
+  async function importCollections(file) {
+    if (!favoritesReady || !file) return;
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (err) {
+      setStatus('Import failed: the file is not valid JSON.');
+      return;
+    }
+    if (!data || data.format !== COLLECTION_EXPORT_FORMAT || !Array.isArray(data.collections)) {
+      setStatus('Import failed: this is not a NASA Space Explorer collection file.');
+      return;
+    }
+
+    let added = 0;
+    let lastName = null;
+    try {
+      for (const incoming of data.collections) {
+        const name = cleanCollectionName(incoming && incoming.name);
+        if (!name || !Array.isArray(incoming.items)) continue;
+        const collection = collections.get(name) || newCollection(name);
+        const keys = new Set(collection.items.map(entry => entry.key));
+        const items = collection.items.slice();
+        incoming.items.forEach(raw => {
+          if (!raw || typeof raw !== 'object') return;
+          const meta = cleanMeta(raw);
+          const key = itemKey(meta);
+          if (!key || keys.has(key)) return;
+          keys.add(key);
+          const savedAt = Number.isNaN(Date.parse(raw.saved_at)) ? new Date().toISOString() : raw.saved_at;
+          items.push({ key, saved_at: savedAt, meta });
+          added += 1;
+        });
+        await saveCollection({ ...collection, items });
+        lastName = name;
+      }
+    } catch (err) {
+      setStatus(`Import failed: ${err.message}`);
+      return;
+    }
+    if (!lastName) {
+      setStatus('Import failed: the file has no collections.');
+      return;
+    }
+    selectCollection(lastName);
+    showCollection();
+    setStatus(`Imported ${added} new items into "${lastName}"`);
+  }
+
   // Main action: decide APOD vs search and render results
   async function handleFetchClick() {
     console.log('handleFetchClick invoked');
@@ -592,6 +1588,14 @@
     const selectedDate = dateSelect.value;
     const query = queryInput.value;
     const count = parseInt(numSelect.value, 10) || 6;
+    // A new fetch replaces the gallery, so stop paging through the previous search
+    // and drop its filter chips / facets (the images path renders fresh ones)
+    resetPager();
+    renderFilterChips({});
+    renderFacets(null, {});
+    calendarView = null;
+    collectionView = null;
+    pushGalleryState();
 
     // Disable fetch button while working to prevent duplicate clicks
     let buttonDisabledByUs = false;
@@ -610,17 +1614,7 @@
         setStatus('Fetching APOD…');
         try {
           const apod = await fetchApodForDate(selectedDate);
-          // Normalize APOD response to gallery item shape
-          const item = {
-            title: apod.title || apod.title,
-            url: apod.url || apod.hdurl || '',
-            thumbnail: apod.url || apod.thumbnail_url || '',
-            media_type: apod.media_type || (apod.url && apod.url.match(/\.(jpg|png|gif)$/i) ? 'image' : 'video'),
-            date: apod.date || selectedDate,
-            description: apod.explanation || apod.description || '',
-            photographer: apod.copyright || '',
-            center: apod.site || ''
-          };
+          const item = apodToItem(apod, selectedDate);
           // If the proxy returned an images-api fallback, show a small badge and message
           if (apod && apod.source === 'images-api-fallback') {
             setStatus(`APOD not found — showing a related NASA image (best effort).`);
@@ -631,12 +1625,16 @@
             if (statusEl) {
               const b = document.createElement('div');
               b.className = 'fallback-banner';
-              b.textContent = 'APOD not available for this date — showing a related NASA image instead.';
+              const match = typeof apod.confidence === 'number' ? ` (match confidence ${Math.round(apod.confidence * 100)}%)` : '';
+              b.textContent = `APOD not available for this date — showing a related NASA image instead${match}.`;
               gallery.insertAdjacentElement('beforebegin', b);
             }
           } else {
             renderGallery([item]);
-            setStatus(`APOD loaded for ${selectedDate}`);
+            // `stale` means NASA couldn't be reached and the proxy sent an older saved copy
+            setStatus(apod.stale
+              ? `APOD loaded for ${selectedDate} (saved copy — NASA's servers could not be reached)`
+              : `APOD loaded for ${selectedDate}`);
             // indicate source when APOD loaded
             setSourceLabel(apod.source || 'apod-api');
           }
@@ -646,7 +1644,7 @@
             setStatus('APOD not found — attempting a related NASA images search...');
             const year = (selectedDate || '').slice(0, 4) || '';
             const fallbackQuery = year ? `${year} apod` : 'space';
-            const fallbackItems = await fetchImagesForQuery(fallbackQuery, parseInt(numSelect.value, 10) || 6);
+            const fallbackItems = (await fetchImagesForQuery(fallbackQuery, parseInt(numSelect.value, 10) || 6)).items;
             if (fallbackItems && fallbackItems.length) {
               // show a banner explaining this is a fallback
               renderGallery(fallbackItems);
@@ -669,12 +1667,28 @@
             setStatus('APOD not available. Showing placeholder.');
           }
         }
+      } else if (searchModeSelect && searchModeSelect.value === 'apod' && query.trim()) {
+        // APOD full-text search path
+        setStatus('Searching APOD entries…');
+        const items = await fetchApodSearch(query, count);
+        if (items.length) {
+          renderGallery(items);
+        } else {
+          renderPlaceholder(`No APOD entries match "${query}". Only dates the server has already fetched or archived can be searched.`);
+        }
+        setStatus(`Found ${items.length} APOD entries for "${query}"`);
+        setSourceLabel('apod-search');
       } else {
         // Images search path
         setStatus('Searching images…');
-        const items = await fetchImagesForQuery(query || 'space', count);
-        renderGallery(items);
-        setStatus(`Found ${items.length} results for "${query || 'space'}"`);
+        const filters = readFilters();
+        const q = (query || '').trim() || (Object.keys(filters).length ? '' : 'space');
+        const page = await fetchImagesForQuery(q, count, 1, filters);
+        renderGallery(page.items);
+        if (page.items.length) startPager(q, filters, count, page);
+        renderFilterChips(filters);
+        renderFacets(page.facets, filters);
+        setStatus(`Found ${page.total_hits} results ${q ? `for "${q}"` : 'for your filters'}`);
         setSourceLabel('images-api');
       }
     } catch (err) {
@@ -719,7 +1733,6 @@
     document.body.appendChild(overlay);
 
     function update() {
-      const keys = getApiKeys();
       const elems = [
         { id: 'getImageBtn', ok: !!getImageBtn },
         { id: 'gallery', ok: !!gallery },
@@ -727,8 +1740,7 @@
         { id: 'funFact', ok: !!funFactEl }
       ];
       const parts = elems.map(e => `<div>${e.id}: ${e.ok ? 'OK' : 'MISSING'}</div>`).join('');
-      const keyParts = `<div>APOD key: ${keys.apodKey ? (keys.apodKey === 'DEMO_KEY' ? 'DEMO_KEY' : 'SET') : 'NONE'}</div>
-                        <div>OMDb key: ${keys.omdbKey ? 'SET' : 'NONE'}</div>`;
+      const keyParts = `<div>API keys: server-side (see /keys-health)</div>`;
       document.getElementById('dbgContent').innerHTML = `${parts}${keyParts}`;
     }
 
@@ -752,6 +1764,7 @@
     getImageBtn = document.getElementById('getImageBtn');
     clearCacheBtn = document.getElementById('clearCacheBtn');
     queryInput = document.getElementById('queryInput');
+    searchModeSelect = document.getElementById('searchMode');
     numSelect = document.getElementById('numSelect');
     dateSelect = document.getElementById('dateSelect');
     gallery = document.getElementById('gallery');
@@ -763,11 +1776,16 @@
     lightboxMeta = document.getElementById('lightboxMeta');
     funFactEl = document.getElementById('funFact');
   sourceLabelEl = document.getElementById('sourceLabel');
-    // key manager elements
-    apodKeyInput = document.getElementById('apodKeyInput');
-    omdbKeyInput = document.getElementById('omdbKeyInput');
-    saveKeysBtn = document.getElementById('saveKeysBtn');
-    clearKeysBtn = document.getElementById('clearKeysBtn');
+    advancedFiltersEl = document.getElementById('advancedFilters');
+    activeFiltersEl = document.getElementById('activeFilters');
+    facetsEl = document.getElementById('facets');
+    monthSelect = document.getElementById('monthSelect');
+    endDateSelect = document.getElementById('endDateSelect');
+    calendarBtn = document.getElementById('calendarBtn');
+    collectionsBar = document.getElementById('collectionsBar');
+    collectionSelect = document.getElementById('collectionSelect');
+    importCollectionFile = document.getElementById('importCollectionFile');
+    lightboxStar = document.getElementById('lightboxStar');
 
     // Defensive checks
     if (!gallery) {
@@ -783,17 +1801,9 @@
       console.warn('Could not show fun fact', e);
     }
 
-    // Note: we intentionally do NOT render API keys or masked key indicators in
-    // the visible UI to avoid exposing secrets. Key management remains available
-    // via the key manager inputs (saved to localStorage) and the debug overlay
-    // which indicates whether keys are set (not their values).
-
-    // Wire key manager buttons (if present)
-    if (saveKeysBtn) saveKeysBtn.addEventListener('click', () => {
-      const ok = saveKeysToLocalStorage();
-      if (ok) updateKeyIndicator();
-    });
-    if (clearKeysBtn) clearKeysBtn.addEventListener('click', clearLocalKeys);
+    // API keys are configured on the server (OMDB_API_KEY, NASA_API_KEYS), so the
+    // browser never sees them. Drop keys an older version may have saved here.
+    removeLegacyKeys();
 
     // Event wiring
     if (getImageBtn) {
@@ -802,6 +1812,31 @@
       getImageBtn.onclick = handleFetchClick;
     }
     if (clearCacheBtn) clearCacheBtn.addEventListener('click', handleClearCache);
+    if (calendarBtn) calendarBtn.addEventListener('click', handleCalendarClick);
+
+    // Favorites / collections
+    if (collectionSelect) collectionSelect.addEventListener('change', () => selectCollection(collectionSelect.value));
+    const newCollectionBtn = document.getElementById('newCollectionBtn');
+    const deleteCollectionBtn = document.getElementById('deleteCollectionBtn');
+    const showCollectionBtn = document.getElementById('showCollectionBtn');
+    const exportCollectionBtn = document.getElementById('exportCollectionBtn');
+    const importCollectionBtn = document.getElementById('importCollectionBtn');
+    if (newCollectionBtn) newCollectionBtn.addEventListener('click', handleNewCollection);
+    if (deleteCollectionBtn) deleteCollectionBtn.addEventListener('click', handleDeleteCollection);
+    if (showCollectionBtn) showCollectionBtn.addEventListener('click', showCollection);
+    if (exportCollectionBtn) exportCollectionBtn.addEventListener('click', exportCollection);
+    if (importCollectionBtn && importCollectionFile) {
+      importCollectionBtn.addEventListener('click', () => importCollectionFile.click());
+      importCollectionFile.addEventListener('change', () => {
+        importCollections(importCollectionFile.files[0]);
+        importCollectionFile.value = ''; // allow importing the same file again
+      });
+    }
+    if (lightboxStar) {
+      lightboxStar.addEventListener('click', () => {
+        if (lightboxStar._meta) toggleFavorite(lightboxStar._meta);
+      });
+    }
 
     // Allow Enter to trigger fetch from query input
     if (queryInput) {
@@ -813,14 +1848,24 @@
       });
     }
 
+    // Enter in an advanced filter field runs the images search with the filters
+    if (advancedFiltersEl) {
+      advancedFiltersEl.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+          e.preventDefault();
+          runFilteredSearch();
+        }
+      });
+    }
+
     
 
     // Lightbox handlers
     if (lightboxBackdrop) {
-      lightboxBackdrop.addEventListener('click', closeLightbox);
+      lightboxBackdrop.addEventListener('click', () => closeLightbox());
     }
     if (lightboxClose) {
-      lightboxClose.addEventListener('click', closeLightbox);
+      lightboxClose.addEventListener('click', () => closeLightbox());
     }
 
     // Global Escape to close lightbox
@@ -841,9 +1886,17 @@
       updateDebug: dbg.update
     };
 
+    apodDatesLoaded = applyApodDateRange();
+    collectionsLoaded = loadCollections();
+
     setStatus('Ready');
     // Clear source label initially
     try { setSourceLabel(''); } catch (e) {}
+
+    // Deep links: rebuild the gallery / lightbox from the URL, now and on Back/Forward
+    initialGalleryHtml = gallery.innerHTML;
+    window.addEventListener('popstate', restoreFromUrl);
+    restoreFromUrl();
   }
 
   if (document.readyState === 'loading') {
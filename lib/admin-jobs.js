@@ -0,0 +1,93 @@
+// Background jobs for the admin API (e.g. warming the cache for a date range).
+// A job works through a list of items a few at a time and keeps its progress in
+// memory, so GET /admin/jobs/:id can report how far it got:
+//   { id, type, status, total, done, found, failed, params, started_at, finished_at, error }
+// status is 'running', 'done', 'cancelled' or 'failed'. Only the last `maxJobs`
+// jobs are remembered; jobs are lost on restart.
+
+const crypto = require('crypto');
+
+function createJobRegistry({ maxJobs = 20 } = {}) {
+  const jobs = new Map(); // id -> { info, cancelled }
+
+  function forget() {
+    for (const [id, job] of jobs) {
+      if (jobs.size <= maxJobs) break;
+      if (job.info.status !== 'running') jobs.delete(id);
+    }
+  }
+
+  // Start a job. `run(item)` resolves to true when the item was handled (e.g. the
+  // date was found) and false otherwise; a rejection counts as failed.
+  function start({ type, items, params = {}, concurrency = 2, run }) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const info = {
+      id,
+      type,
+      status: 'running',
+      total: items.length,
+      done: 0,
+      found: 0,
+      failed: 0,
+      params,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      error: null,
+    };
+    const job = { info, cancelled: false };
+    jobs.set(id, job);
+    forget();
+
+    let next = 0;
+    async function worker() {
+      while (next < items.length && !job.cancelled) {
+        const item = items[next++];
+        try {
+          if (await run(item)) info.found += 1;
+          else info.failed += 1;
+        } catch (err) {
+          info.failed += 1;
+        }
+        info.done += 1;
+      }
+    }
+
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, items.length); i++) workers.push(worker());
+    Promise.all(workers)
+      .then(() => {
+        info.status = job.cancelled ? 'cancelled' : 'done';
+      })
+      .catch(err => {
+        info.status = 'failed';
+        info.error = err.message;
+      })
+      .finally(() => {
+        info.finished_at = new Date().toISOString();
+      });
+
+    return { ...info };
+  }
+
+  function get(id) {
+    const job = jobs.get(id);
+    return job ? { ...job.info } : null;
+  }
+
+  // Newest first
+  function list() {
+    return Array.from(jobs.values()).map(job => ({ ...job.info })).reverse();
+  }
+
+  // Stop a running job after the items already in progress. Returns the job or null.
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (job.info.status === 'running') job.cancelled = true;
+    return { ...job.info };
+  }
+
+  return { start, get, list, cancel };
+}
+
+module.exports = { createJobRegistry };
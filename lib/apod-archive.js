@@ -0,0 +1,146 @@
+// Local APOD archive: an NDJSON file with one entry per line, in the same shape as
+// the data.json feed from the README ({ date, title, explanation, media_type, url,
+// hdurl, thumbnail_url, copyright, service_version }) plus the `source` it came from.
+// - Lines are only ever appended, so an interrupted write can at worst leave one
+//   broken last line, which the loader skips
+// - If a date appears more than once, the last line wins
+// - The file is loaded lazily. When it grows on disk (e.g. while an ingest run in
+//   another process is still appending to it) only the new lines at the end are read;
+//   our own appends go straight into the in-memory map. The whole file is only read
+//   again when it was replaced or got shorter
+// - entriesSince(version) hands out only the entries added after `version`, so
+//   indexes built on top of the archive can follow it without re-reading everything
+
+const fs = require('fs');
+const path = require('path');
+
+const FEED_FIELDS = ['date', 'title', 'explanation', 'media_type', 'url', 'hdurl', 'thumbnail_url', 'copyright', 'service_version', 'source'];
+
+// Keep only the feed fields (drops proxy-only fields such as `attempts` or `cached`)
+function toFeedEntry(entry) {
+  const out = { service_version: 'v1' };
+  FEED_FIELDS.forEach(field => {
+    if (entry[field] !== undefined && entry[field] !== null) out[field] = entry[field];
+  });
+  return out;
+}
+
+function createApodArchive(file) {
+  let byDate = new Map();
+  let loadedIno = null; // inode of the file we read, to notice when it was replaced
+  let offset = 0; // bytes read so far (always just after a newline)
+  let modifiedAt = 0; // file mtime when we last caught up with it
+  // Entries in the order they were read or appended since the last full re-read.
+  // The version is `base + added.length`; a full re-read moves `base` past every
+  // version handed out before, so callers know they have to start over.
+  let added = [];
+  let base = 0;
+
+  function currentVersion() {
+    return base + added.length;
+  }
+
+  function reset() {
+    base = currentVersion() + 1;
+    byDate = new Map();
+    added = [];
+    loadedIno = null;
+    offset = 0;
+  }
+
+  function remember(entry) {
+    byDate.set(entry.date, entry);
+    added.push(entry);
+  }
+
+  function addLine(line) {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      if (entry && entry.date) remember(entry);
+    } catch (err) {
+      // half-written line from an interrupted run
+    }
+  }
+
+  function load() {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (err) {
+      if (loadedIno !== null || byDate.size) reset();
+      return;
+    }
+    if (stat.ino !== loadedIno || stat.size < offset) {
+      reset();
+      loadedIno = stat.ino;
+    }
+    modifiedAt = stat.mtimeMs;
+    if (stat.size === offset) return;
+
+    // Read only what was appended since last time, up to the last complete line
+    const tail = Buffer.alloc(stat.size - offset);
+    const fd = fs.openSync(file, 'r');
+    try {
+      fs.readSync(fd, tail, 0, tail.length, offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    const end = tail.lastIndexOf('\n');
+    if (end === -1) return; // a line still being written
+    tail.toString('utf8', 0, end).split('\n').forEach(addLine);
+    offset += end + 1;
+  }
+
+  function get(date) {
+    load();
+    return byDate.get(date) || null;
+  }
+
+  function has(date) {
+    return Boolean(get(date));
+  }
+
+  function append(entry) {
+    const feedEntry = toFeedEntry(entry);
+    const line = `${JSON.stringify(feedEntry)}\n`;
+    load(); // catch up first, so the offset is right after the current end
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, line);
+    remember(feedEntry);
+    // Skip re-reading our own line, unless another process appended in between
+    const stat = fs.statSync(file);
+    modifiedAt = stat.mtimeMs;
+    if (loadedIno === null) loadedIno = stat.ino;
+    if (stat.ino === loadedIno && stat.size === offset + Buffer.byteLength(line)) offset = stat.size;
+  }
+
+  // All entries, oldest first
+  function entries() {
+    load();
+    return Array.from(byDate.values()).sort((a, b) => (a.date < b.date ? -1 : 1));
+  }
+
+  function size() {
+    load();
+    return byDate.size;
+  }
+
+  // What changed since `since` (a version from an earlier call; null for "never
+  // looked"): { version, reset, entries, modifiedAt }. Normally `entries` are just the
+  // entries added since then, oldest first (a date can show up again with newer data).
+  // When the file was replaced in the meantime, `reset` is true and `entries` is
+  // everything. `modifiedAt` is the file's mtime.
+  function entriesSince(since) {
+    load();
+    const version = currentVersion();
+    if (since === null || since === undefined || since < base) {
+      return { version, reset: true, entries: entries(), modifiedAt };
+    }
+    return { version, reset: false, entries: added.slice(since - base), modifiedAt };
+  }
+
+  return { file, get, has, append, entries, entriesSince, size };
+}
+
+module.exports = { createApodArchive, toFeedEntry };
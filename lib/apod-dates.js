@@ -0,0 +1,82 @@
+// Calendar helpers for APOD dates.
+// Dates are handled as 'YYYY-MM-DD' strings and UTC calendar days, except for
+// "today": APOD publishes a new picture at midnight US Eastern time, so today's
+// date is worked out in the America/New_York time zone (this handles daylight saving).
+
+const APOD_FIRST_DATE = '1995-06-16';
+const APOD_TIME_ZONE = 'America/New_York';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 'YYYY-MM-DD' -> milliseconds at UTC midnight, or NaN when it is not a real
+// calendar date (Date.parse happily rolls 2023-02-30 over to 2023-03-02)
+function parseIsoDate(dateStr) {
+  if (typeof dateStr !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return NaN;
+  const ms = Date.parse(`${dateStr}T00:00:00Z`);
+  if (Number.isNaN(ms) || formatIsoDate(ms) !== dateStr) return NaN;
+  return ms;
+}
+
+function formatIsoDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// Today's APOD date (US Eastern). 'en-CA' formats dates as YYYY-MM-DD.
+function apodToday(now = Date.now()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: APOD_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date(now));
+}
+
+// Throws an Error with a message suitable for a 400 response when `date` is not a
+// real calendar date inside the APOD publication range. `name` is the parameter
+// name used in the message.
+function validateApodDate(date, { name = 'date', today = apodToday() } = {}) {
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new Error(`\`${name}\` must be in YYYY-MM-DD format.`);
+  }
+  if (Number.isNaN(parseIsoDate(date))) {
+    throw new Error(`\`${name}\` ${date} is not a real calendar date.`);
+  }
+  if (date < APOD_FIRST_DATE) {
+    throw new Error(`\`${name}\` must not be before ${APOD_FIRST_DATE}, the first APOD.`);
+  }
+  if (date > today) {
+    throw new Error(`\`${name}\` must not be after ${today} (today's APOD, US Eastern time).`);
+  }
+  return date;
+}
+
+function listDates(startDate, endDate) {
+  const dates = [];
+  for (let ms = parseIsoDate(startDate); ms <= parseIsoDate(endDate); ms += DAY_MS) {
+    dates.push(formatIsoDate(ms));
+  }
+  return dates;
+}
+
+// `count` distinct random APOD dates between the first APOD and `today`, sorted
+function randomDates(count, today = apodToday()) {
+  const first = parseIsoDate(APOD_FIRST_DATE);
+  const last = parseIsoDate(today);
+  const days = Math.floor((last - first) / DAY_MS) + 1;
+  const picked = new Set();
+  while (picked.size < Math.min(count, days)) {
+    picked.add(formatIsoDate(first + Math.floor(Math.random() * days) * DAY_MS));
+  }
+  return Array.from(picked).sort();
+}
+
+module.exports = {
+  APOD_FIRST_DATE,
+  APOD_TIME_ZONE,
+  DAY_MS,
+  parseIsoDate,
+  formatIsoDate,
+  apodToday,
+  validateApodDate,
+  listDates,
+  randomDates,
+};
@@ -0,0 +1,164 @@
+// Parser for apod.nasa.gov day pages (apYYMMDD.html), also used for Wayback copies.
+// The page layout has barely changed since 1995:
+//
+//   <center> ...header... <p> 2025 October 1 <br>
+//     <a href="image/...hi-res.jpg"><img src="image/...inline.jpg"></a>   (or an <iframe>/<video>)
+//   </center>
+//   <center> <b> Title </b> <br> <b> Image Credit & Copyright: </b> Name </center>
+//   <p> <b> Explanation: </b> text ... <p> <center> <b> Tomorrow's picture: </b> ...
+//
+// parseApodPage() turns that into the same fields the APOD API returns, plus the
+// page's <meta name="keywords"> list.
+
+const cheerio = require('cheerio');
+
+const IMAGE_RE = /\.(jpe?g|png|gif|webp|tiff?)(\?.*)?$/i;
+const VIDEO_RE = /\.(mp4|mov|mpe?g|webm|avi)(\?.*)?$/i;
+
+// Tags that end a block of text (explanation or credit line)
+const BLOCK_TAGS = new Set(['p', 'center', 'hr', 'table', 'div', 'h1', 'h2', 'h3']);
+
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function absoluteUrl(src, pageUrl) {
+  if (!src) return null;
+  try {
+    return new URL(src.trim(), pageUrl).href;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Collect the text of the nodes that follow `el` until a block-level tag
+// (or, when `stopAtBr` is set, a <br>) is reached.
+function textAfter($, el, stopAtBr = false) {
+  const parts = [];
+  let node = el.nextSibling;
+  while (node) {
+    if (node.type === 'tag') {
+      const name = node.name.toLowerCase();
+      if (BLOCK_TAGS.has(name) || (stopAtBr && name === 'br')) break;
+      parts.push($(node).text());
+    } else if (node.type === 'text') {
+      parts.push(node.data);
+    }
+    node = node.nextSibling;
+  }
+  return cleanText(parts.join(''));
+}
+
+// Find the first <b> whose text matches `re`
+function findLabel($, re) {
+  return $('b').filter((i, el) => re.test(cleanText($(el).text()))).first();
+}
+
+// Title: the <title> reads "APOD: 2025 October 1 - Title", older pages use
+// "APOD: June 16, 1995 - Title". Fall back to the first bold line under the media.
+function parseTitle($) {
+  const pageTitle = cleanText($('title').first().text());
+  const dash = pageTitle.indexOf(' - ');
+  if (dash !== -1) return pageTitle.slice(dash + 3).trim() || null;
+
+  const bold = $('center').eq(1).find('b').first();
+  return cleanText(bold.text()) || null;
+}
+
+function parseExplanation($) {
+  const label = findLabel($, /^explanation:?$/i);
+  if (!label.length) return null;
+  return textAfter($, label.get(0)) || null;
+}
+
+// Credit line, e.g. "Image Credit & Copyright: Brian Meyers" or "Picture Credit: ..."
+function parseCredit($) {
+  const label = findLabel($, /credit|copyright/i);
+  if (!label.length) return { credit: null, copyright: null };
+  const credit = textAfter($, label.get(0), true) || null;
+  const isCopyright = /copyright/i.test(cleanText(label.text()));
+  return { credit, copyright: isCopyright ? credit : null };
+}
+
+function youtubeThumbnail(url) {
+  const match = /youtube(?:-nocookie)?\.com\/embed\/([\w-]+)/i.exec(url || '');
+  return match ? `https://img.youtube.com/vi/${match[1]}/hqdefault.jpg` : null;
+}
+
+// Keywords: <meta name="keywords" content="Veil Nebula, NGC 6960, supernova remnant">
+function parseKeywords($) {
+  const content = $('meta[name="keywords" i]').attr('content') || '';
+  return content.split(',').map(cleanText).filter(Boolean);
+}
+
+// Media: the first <center> holds the picture. Embedded players win over images,
+// and an <a> wrapping the inline <img> points at the hi-res version.
+function parseMedia($, pageUrl) {
+  const scope = $('center').first().length ? $('center').first() : $('body');
+
+  const iframe = scope.find('iframe[src]').first();
+  if (iframe.length) {
+    const url = absoluteUrl(iframe.attr('src'), pageUrl);
+    return { media_type: 'video', url, hdurl: null, thumbnail_url: youtubeThumbnail(url) };
+  }
+
+  const video = scope.find('video').first();
+  if (video.length) {
+    const src = video.attr('src') || video.find('source[src]').first().attr('src');
+    if (src) {
+      const poster = absoluteUrl(video.attr('poster'), pageUrl);
+      return { media_type: 'video', url: absoluteUrl(src, pageUrl), hdurl: null, thumbnail_url: poster };
+    }
+  }
+
+  const img = scope.find('img[src]').first();
+  if (img.length) {
+    const url = absoluteUrl(img.attr('src'), pageUrl);
+    const link = img.closest('a');
+    const href = link.length ? absoluteUrl(link.attr('href'), pageUrl) : null;
+    // Some old pages link the picture to an animation instead of a bigger image
+    if (href && VIDEO_RE.test(href)) {
+      return { media_type: 'video', url: href, hdurl: null, thumbnail_url: url };
+    }
+    const hdurl = href && IMAGE_RE.test(href) ? href : null;
+    return { media_type: 'image', url, hdurl, thumbnail_url: null };
+  }
+
+  // No inline picture: look for a direct link to a movie or image file
+  const mediaLink = scope.find('a[href]').filter((i, el) => {
+    const href = $(el).attr('href') || '';
+    return VIDEO_RE.test(href) || IMAGE_RE.test(href);
+  }).first();
+  if (mediaLink.length) {
+    const url = absoluteUrl(mediaLink.attr('href'), pageUrl);
+    return { media_type: VIDEO_RE.test(url) ? 'video' : 'image', url, hdurl: null, thumbnail_url: null };
+  }
+
+  return null;
+}
+
+// Parse an APOD day page. When no picture or video could be found the media fields
+// are null but the title and keywords are still returned (the proxy uses them to look
+// for a matching NASA image). Returns null when the page has neither media nor a title.
+function parseApodPage(html, pageUrl = 'https://apod.nasa.gov/apod/') {
+  const $ = cheerio.load(html);
+  const media = parseMedia($, pageUrl);
+  const title = parseTitle($);
+  const hasMedia = Boolean(media && media.url);
+  if (!hasMedia && !title) return null;
+
+  const { credit, copyright } = parseCredit($);
+  return {
+    title,
+    explanation: parseExplanation($),
+    credit,
+    copyright,
+    keywords: parseKeywords($),
+    media_type: hasMedia ? media.media_type : null,
+    url: hasMedia ? media.url : null,
+    hdurl: hasMedia ? media.hdurl : null,
+    thumbnail_url: hasMedia ? media.thumbnail_url : null,
+  };
+}
+
+module.exports = { parseApodPage };
@@ -0,0 +1,57 @@
+// HTTP caching rules for APOD entries, shared by the proxy's disk cache and the
+// Cache-Control / ETag headers sent to browsers and CDNs.
+//
+// How long an entry stays fresh depends on where it came from:
+// - APOD API answers (and archived copies of them) for past days practically never
+//   change, so they are kept for a long time.
+// - Scraped pages, Wayback copies and Images API stand-ins are best-effort and are
+//   refreshed sooner, in case the real entry becomes available.
+// - Today's APOD is refreshed hourly whatever the source (the page is sometimes
+//   fixed after publication).
+// After `maxAge` an entry may still be served for `staleWhileRevalidate` while the
+// proxy fetches a new copy in the background. Expired entries are kept for
+// STALE_IF_ERROR_MS more, and handed out (flagged `stale: true`) when no provider can
+// produce a fresh copy. Dates nobody could find are remembered for NEGATIVE_TTL_MS so
+// repeat requests don't run every upstream again.
+
+const crypto = require('crypto');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const SOURCE_POLICIES = {
+  'apod-api': { maxAge: 30 * DAY_MS, staleWhileRevalidate: 7 * DAY_MS },
+  'apod-scrape': { maxAge: DAY_MS, staleWhileRevalidate: DAY_MS },
+  'apod-wayback': { maxAge: 6 * HOUR_MS, staleWhileRevalidate: DAY_MS },
+  'images-api-fallback': { maxAge: HOUR_MS, staleWhileRevalidate: 6 * HOUR_MS },
+};
+const TODAY_POLICY = { maxAge: HOUR_MS, staleWhileRevalidate: HOUR_MS };
+const DEFAULT_POLICY = { maxAge: DAY_MS, staleWhileRevalidate: DAY_MS };
+
+const STALE_IF_ERROR_MS = 30 * DAY_MS;
+const NEGATIVE_TTL_MS = 10 * 60 * 1000;
+
+// { maxAge, staleWhileRevalidate } in milliseconds for an entry.
+// Local archive hits are judged by the source they were originally fetched from.
+function cachePolicyFor(entry, today) {
+  if (entry.date === today) return TODAY_POLICY;
+  const source = entry.source === 'local-archive' ? entry.archived_source : entry.source;
+  return SOURCE_POLICIES[source] || DEFAULT_POLICY;
+}
+
+// Strong ETag for a response body: a hash of its exact bytes. Bodies sent with it must
+// be the same for the same content every time, so per-request diagnostics go into
+// headers instead (see sendEntry in server.js).
+function entityTag(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+}
+
+// Cache-Control value for an entry that expires at `expires` (ms timestamp)
+function cacheControlHeader(policy, expires, now = Date.now()) {
+  const maxAge = Math.max(0, Math.floor((expires - now) / 1000));
+  const swr = Math.floor(policy.staleWhileRevalidate / 1000);
+  const sie = Math.floor(STALE_IF_ERROR_MS / 1000);
+  return `public, max-age=${maxAge}, stale-while-revalidate=${swr}, stale-if-error=${sie}`;
+}
+
+module.exports = { STALE_IF_ERROR_MS, NEGATIVE_TTL_MS, cachePolicyFor, entityTag, cacheControlHeader };
@@ -0,0 +1,203 @@
+// Persistent cache store used by server.js.
+// Each entry is saved as its own JSON file under `dir`:
+//   { key, data, expires, storedAt }
+// - Entries keep the same TTL semantics as the old in-memory Map (expired entries
+//   are treated as missing and removed). getWithMeta() can also hand out entries
+//   that expired less than `maxStale` ago, for stale-while-revalidate.
+// - The directory is only scanned the first time the cache is used. Only keys and
+//   expiry times are kept in memory until an entry is actually requested.
+// - Writes go to a temporary file that is then renamed over the real one, so a
+//   crash mid-write leaves either the old entry or the new one, never a broken file.
+// - Once more than `maxEntries` entries exist, the least recently used ones are evicted.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function createCacheStore({ dir, maxEntries = 2000, defaultTtl = 24 * 60 * 60 * 1000 }) {
+  // key -> { file, expires, storedAt, data, loaded }. Map order doubles as LRU order
+  // (least recently used first), so touching an entry means delete + set.
+  const index = new Map();
+  let ready = false;
+
+  function fileForKey(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(dir, `${hash}.json`);
+  }
+
+  function readFile(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function removeFile(file) {
+    try {
+      fs.unlinkSync(file);
+    } catch (err) {
+      // already gone
+    }
+  }
+
+  // Scan the cache directory once. Files are ordered by modification time, which
+  // we bump on every read, so the LRU order survives restarts.
+  function ensureLoaded() {
+    if (ready) return;
+    ready = true;
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      const files = fs.readdirSync(dir)
+        .map(name => path.join(dir, name))
+        .map(file => ({ file, stat: fs.statSync(file) }))
+        .sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs);
+
+      for (const { file } of files) {
+        // Leftovers from an interrupted write are never valid entries
+        if (file.endsWith('.tmp')) {
+          removeFile(file);
+          continue;
+        }
+        if (!file.endsWith('.json')) continue;
+        const entry = readFile(file);
+        if (!entry || typeof entry.key !== 'string') {
+          removeFile(file);
+          continue;
+        }
+        // Keep only the metadata in memory; the body is loaded again on demand
+        index.set(entry.key, { file, expires: entry.expires, storedAt: entry.storedAt, data: undefined, loaded: false });
+      }
+      evict();
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.warn('Cache directory could not be read; starting empty.', err.message);
+    }
+  }
+
+  function evict() {
+    while (index.size > maxEntries) {
+      const [oldestKey, oldest] = index.entries().next().value;
+      index.delete(oldestKey);
+      removeFile(oldest.file);
+    }
+  }
+
+  function touch(key, entry) {
+    index.delete(key);
+    index.set(key, entry);
+    try {
+      const now = new Date();
+      fs.utimesSync(entry.file, now, now);
+    } catch (err) {
+      // not fatal: only affects LRU order after a restart
+    }
+  }
+
+  // { data, storedAt, expires, stale } for `key`, or null. Entries that expired less
+  // than `maxStale` ms ago are returned with `stale: true`; older ones are removed.
+  function getWithMeta(key, { maxStale = 0 } = {}) {
+    ensureLoaded();
+    const entry = index.get(key);
+    if (!entry) return null;
+    const now = Date.now();
+    if (now > entry.expires + maxStale) {
+      remove(key);
+      return null;
+    }
+    if (!entry.loaded) {
+      const stored = readFile(entry.file);
+      if (!stored) {
+        index.delete(key);
+        return null;
+      }
+      entry.data = stored.data;
+      entry.loaded = true;
+    }
+    touch(key, entry);
+    return { data: entry.data, storedAt: entry.storedAt, expires: entry.expires, stale: now > entry.expires };
+  }
+
+  function get(key) {
+    const found = getWithMeta(key);
+    return found ? found.data : null;
+  }
+
+  function set(key, data, ttl = defaultTtl) {
+    ensureLoaded();
+    const file = fileForKey(key);
+    const storedAt = Date.now();
+    const expires = storedAt + ttl;
+    const entry = { file, expires, storedAt, data, loaded: true };
+    index.delete(key);
+    index.set(key, entry);
+
+    // Atomic write: write a temp file, then rename it over the real one
+    const tmp = `${file}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(tmp, JSON.stringify({ key, data, expires, storedAt }));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      removeFile(tmp);
+      // The entry still lives in memory for this process
+      // eslint-disable-next-line no-console
+      console.warn(`Could not persist cache entry ${key}:`, err.message);
+    }
+    evict();
+  }
+
+  function remove(key) {
+    ensureLoaded();
+    const entry = index.get(key);
+    if (!entry) return false;
+    index.delete(key);
+    removeFile(entry.file);
+    return true;
+  }
+
+  // Read an entry without changing its LRU position. Expired entries return null.
+  function peek(key) {
+    ensureLoaded();
+    const entry = index.get(key);
+    if (!entry || Date.now() > entry.expires) return null;
+    if (!entry.loaded) {
+      const stored = readFile(entry.file);
+      return stored ? stored.data : null;
+    }
+    return entry.data;
+  }
+
+  // { data, storedAt, expires, stale } without touching the LRU order or removing
+  // expired entries (used by the admin API). Null when the key isn't cached.
+  function inspect(key) {
+    ensureLoaded();
+    const entry = index.get(key);
+    if (!entry) return null;
+    const data = entry.loaded ? entry.data : (readFile(entry.file) || {}).data;
+    return { data, storedAt: entry.storedAt, expires: entry.expires, stale: Date.now() > entry.expires };
+  }
+
+  // Remove every entry. Returns how many were removed.
+  function clear() {
+    ensureLoaded();
+    const count = index.size;
+    Array.from(index.keys()).forEach(remove);
+    return count;
+  }
+
+  // All keys, least recently used first
+  function keys() {
+    ensureLoaded();
+    return Array.from(index.keys());
+  }
+
+  function size() {
+    ensureLoaded();
+    return index.size;
+  }
+
+  return { get, getWithMeta, set, peek, inspect, delete: remove, clear, keys, size };
+}
+
+module.exports = { createCacheStore };
@@ -0,0 +1,77 @@
+// Small circuit breaker for upstream sources.
+// - closed: calls go through; repeated failures (timeouts, 429s) are counted
+// - open: calls are skipped right away until `cooldownMs` has passed
+// - half-open: after the cool-down one trial call is let through; if it works the
+//   breaker closes again, if it fails the breaker re-opens for another cool-down
+// Only errors that `isFailure(err)` accepts count towards opening the breaker, so a
+// plain "not found" answer never trips it.
+
+// Errors that mean the upstream is struggling: timeouts and rate limits
+function isTimeoutOrRateLimit(err) {
+  if (!err) return false;
+  if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') return true;
+  return Boolean(err.response && err.response.status === 429);
+}
+
+function createCircuitBreaker({ name, failureThreshold = 3, cooldownMs = 60 * 1000, isFailure = isTimeoutOrRateLimit }) {
+  let failures = 0;
+  let openedAt = 0;
+  let state = 'closed';
+  let trialInFlight = false;
+
+  function canCall() {
+    if (state === 'closed') return true;
+    if (state === 'open' && Date.now() - openedAt >= cooldownMs) {
+      state = 'half-open';
+    }
+    // In half-open only one trial call is allowed at a time
+    if (state === 'half-open' && !trialInFlight) return true;
+    return false;
+  }
+
+  function onSuccess() {
+    failures = 0;
+    state = 'closed';
+  }
+
+  function onFailure() {
+    failures += 1;
+    if (state === 'half-open' || failures >= failureThreshold) {
+      state = 'open';
+      openedAt = Date.now();
+    }
+  }
+
+  // Run `fn` through the breaker. Throws an error with code CIRCUIT_OPEN when the
+  // source is being skipped; any other error from `fn` is re-thrown unchanged.
+  async function call(fn) {
+    if (!canCall()) {
+      const err = new Error(`${name} is cooling down after repeated failures`);
+      err.code = 'CIRCUIT_OPEN';
+      throw err;
+    }
+    const isTrial = state === 'half-open';
+    if (isTrial) trialInFlight = true;
+    try {
+      const result = await fn();
+      onSuccess();
+      return result;
+    } catch (err) {
+      if (isFailure(err)) onFailure();
+      else onSuccess();
+      throw err;
+    } finally {
+      if (isTrial) trialInFlight = false;
+    }
+  }
+
+  function status() {
+    // Report a finished cool-down as half-open without waiting for the next call
+    if (state === 'open' && Date.now() - openedAt >= cooldownMs) return { name, state: 'half-open', failures };
+    return { name, state, failures };
+  }
+
+  return { call, status };
+}
+
+module.exports = { createCircuitBreaker, isTimeoutOrRateLimit };
@@ -0,0 +1,159 @@
+// Feed builders for resolved APOD entries: Atom 1.0, RSS 2.0 and JSON Feed 1.1.
+// Every item carries the picture/video as an enclosure (when the URL is a media
+// file), the credit line as the author, and the proxy `source` that resolved it.
+// `entries` are proxy entries, newest first. `site` is { baseUrl, title }.
+
+const FEED_TITLE = 'NASA Space Explorer: Astronomy Picture of the Day';
+const FEED_DESCRIPTION = 'Astronomy Pictures of the Day resolved by the NASA Space Explorer proxy.';
+const SOURCE_SCHEME = 'https://apod.nasa.gov/apod/#source';
+
+// Escape text for XML and drop characters XML 1.0 does not allow at all
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+};
+
+function mimeTypeFor(url) {
+  const match = /\.([a-z0-9]+)(?:\?.*)?$/i.exec(url || '');
+  return match ? MIME_TYPES[match[1].toLowerCase()] || null : null;
+}
+
+// The file to attach to an item: the hi-res image, the image, or the video file.
+// Embedded players (YouTube) aren't files, so their thumbnail is attached instead.
+function enclosureFor(entry) {
+  const candidates = [entry.hdurl, entry.url, entry.thumbnail_url];
+  for (const url of candidates) {
+    const type = mimeTypeFor(url);
+    if (type) return { url, type };
+  }
+  return null;
+}
+
+// apod.nasa.gov page for a YYYY-MM-DD date
+function apodPageUrl(date) {
+  const [y, m, d] = date.split('-');
+  return `https://apod.nasa.gov/apod/ap${y.slice(-2)}${m}${d}.html`;
+}
+
+function itemLink(entry, site) {
+  return site.itemUrl ? site.itemUrl(entry) : apodPageUrl(entry.date);
+}
+
+function dateToRfc3339(date) {
+  return `${date}T00:00:00Z`;
+}
+
+function dateToRfc822(date) {
+  return new Date(`${date}T00:00:00Z`).toUTCString();
+}
+
+function latestDate(entries) {
+  return entries.length ? entries[0].date : new Date().toISOString().slice(0, 10);
+}
+
+function buildAtom(entries, site) {
+  const items = entries.map(entry => {
+    const link = itemLink(entry, site);
+    const enclosure = enclosureFor(entry);
+    return `  <entry>
+    <id>${escapeXml(apodPageUrl(entry.date))}</id>
+    <title>${escapeXml(entry.title || entry.date)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(link)}"/>
+${enclosure ? `    <link rel="enclosure" type="${enclosure.type}" href="${escapeXml(enclosure.url)}"/>\n` : ''}    <updated>${dateToRfc3339(entry.date)}</updated>
+    <published>${dateToRfc3339(entry.date)}</published>
+    <author><name>${escapeXml(entry.copyright || 'NASA APOD')}</name></author>
+    <category scheme="${SOURCE_SCHEME}" term="${escapeXml(entry.source || 'unknown')}"/>
+    <summary type="text">${escapeXml(entry.explanation || '')}</summary>
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(`${site.baseUrl}/feed.xml`)}</id>
+  <title>${escapeXml(site.title || FEED_TITLE)}</title>
+  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(`${site.baseUrl}/feed.xml`)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(`${site.baseUrl}/`)}"/>
+  <updated>${dateToRfc3339(latestDate(entries))}</updated>
+  <author><name>NASA Space Explorer</name></author>
+${items.join('\n')}
+</feed>
+`;
+}
+
+function buildRss(entries, site) {
+  const items = entries.map(entry => {
+    const link = itemLink(entry, site);
+    const enclosure = enclosureFor(entry);
+    return `    <item>
+      <title>${escapeXml(entry.title || entry.date)}</title>
+      <link>${escapeXml(link)}</link>
+      <guid isPermaLink="true">${escapeXml(apodPageUrl(entry.date))}</guid>
+      <pubDate>${dateToRfc822(entry.date)}</pubDate>
+      <description>${escapeXml(entry.explanation || '')}</description>
+${entry.copyright ? `      <dc:creator>${escapeXml(entry.copyright)}</dc:creator>\n` : ''}      <category domain="${SOURCE_SCHEME}">${escapeXml(entry.source || 'unknown')}</category>
+${enclosure ? `      <enclosure url="${escapeXml(enclosure.url)}" length="0" type="${enclosure.type}"/>\n` : ''}    </item>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(site.title || FEED_TITLE)}</title>
+    <link>${escapeXml(`${site.baseUrl}/`)}</link>
+    <description>${escapeXml(FEED_DESCRIPTION)}</description>
+    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(`${site.baseUrl}/feed.rss`)}"/>
+    <lastBuildDate>${dateToRfc822(latestDate(entries))}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function buildJsonFeed(entries, site) {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: site.title || FEED_TITLE,
+    description: FEED_DESCRIPTION,
+    home_page_url: `${site.baseUrl}/`,
+    feed_url: `${site.baseUrl}/feed.json`,
+    items: entries.map(entry => {
+      const enclosure = enclosureFor(entry);
+      const item = {
+        id: apodPageUrl(entry.date),
+        url: itemLink(entry, site),
+        title: entry.title || entry.date,
+        content_text: entry.explanation || '',
+        date_published: dateToRfc3339(entry.date),
+        authors: entry.copyright ? [{ name: entry.copyright }] : undefined,
+        image: enclosure && enclosure.type.startsWith('image/') ? enclosure.url : undefined,
+        external_url: entry.media_type === 'video' ? entry.url : undefined,
+        attachments: enclosure ? [{ url: enclosure.url, mime_type: enclosure.type }] : undefined,
+        // JSON Feed extension (names starting with "_" are reserved for publishers)
+        _apod: {
+          source: entry.source || null,
+          archived_source: entry.archived_source || undefined,
+          media_type: entry.media_type || null,
+        },
+      };
+      return JSON.parse(JSON.stringify(item));
+    }),
+  };
+}
+
+module.exports = { buildAtom, buildRss, buildJsonFeed, escapeXml };
@@ -0,0 +1,114 @@
+// Record/replay for upstream HTTP calls made through axios.
+//   HTTP_MODE=record  every response server.js receives (including 4xx/5xx answers)
+//                     is saved as a JSON fixture, keyed by method + URL
+//   HTTP_MODE=replay  responses are served from those fixtures and the network is
+//                     never used; a request without a fixture fails like a network error
+// Fixtures are stored as <dir>/<host>/<sha1 of "METHOD url">.json. The `api_key`
+// query parameter is removed before hashing and saving, so keys never end up in
+// fixture files and recordings replay no matter which key is configured.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AxiosError, AxiosHeaders } = require('axios');
+
+const SECRET_PARAMS = ['api_key', 'apikey'];
+
+// Full request URL without secret query parameters
+function fixtureUrl(axios, config) {
+  const url = new URL(axios.getUri(config));
+  SECRET_PARAMS.forEach(name => url.searchParams.delete(name));
+  return url.href;
+}
+
+function fixturePath(dir, method, url) {
+  const hash = crypto.createHash('sha1').update(`${method} ${url}`).digest('hex');
+  return path.join(dir, new URL(url).host, `${hash}.json`);
+}
+
+function saveFixture(axios, dir, response) {
+  const { config } = response;
+  // Streamed bodies (e.g. media downloads) can't be stored as JSON; skip them
+  if (response.data && typeof response.data.pipe === 'function') return;
+
+  const method = (config.method || 'get').toUpperCase();
+  const url = fixtureUrl(axios, config);
+  const file = fixturePath(dir, method, url);
+  const fixture = {
+    method,
+    url,
+    status: response.status,
+    statusText: response.statusText,
+    headers: AxiosHeaders.from(response.headers).toJSON(),
+    data: Buffer.isBuffer(response.data) ? { base64: response.data.toString('base64') } : response.data,
+    binary: Buffer.isBuffer(response.data),
+    recordedAt: new Date().toISOString(),
+  };
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(fixture, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.warn(`Could not record fixture for ${url}:`, err.message);
+  }
+}
+
+// axios adapter that answers from fixtures only
+function createReplayAdapter(axios, dir) {
+  return async function replayAdapter(config) {
+    const method = (config.method || 'get').toUpperCase();
+    const url = fixtureUrl(axios, config);
+    const file = fixturePath(dir, method, url);
+
+    let fixture;
+    try {
+      fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new AxiosError(`No recorded response for ${method} ${url}`, 'ENOFIXTURE', config);
+    }
+
+    const response = {
+      data: fixture.binary ? Buffer.from(fixture.data.base64, 'base64') : fixture.data,
+      status: fixture.status,
+      statusText: fixture.statusText,
+      headers: AxiosHeaders.from(fixture.headers || {}),
+      config,
+      request: { replayed: true },
+    };
+
+    // Same rule axios uses for real responses: non-2xx answers become errors
+    const validateStatus = config.validateStatus;
+    if (!validateStatus || validateStatus(response.status)) return response;
+    const code = response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+    throw new AxiosError(`Request failed with status code ${response.status}`, code, config, response.request, response);
+  };
+}
+
+// Hook record/replay into an axios instance (the default `axios` export in server.js).
+// Returns the active mode ('live', 'record' or 'replay').
+function installHttpRecorder(axios, { mode, dir }) {
+  const normalized = (mode || 'live').toLowerCase();
+
+  if (normalized === 'record') {
+    axios.interceptors.response.use(
+      (response) => {
+        saveFixture(axios, dir, response);
+        return response;
+      },
+      (err) => {
+        // Upstream error answers (404, 429, ...) are part of the behaviour we want to replay
+        if (err.response) saveFixture(axios, dir, err.response);
+        return Promise.reject(err);
+      }
+    );
+  } else if (normalized === 'replay') {
+    axios.defaults.adapter = createReplayAdapter(axios, dir);
+  } else if (normalized !== 'live') {
+    throw new Error(`Unknown HTTP_MODE "${mode}" (use record, replay or leave it unset)`);
+  }
+
+  return normalized;
+}
+
+module.exports = { installHttpRecorder };
@@ -0,0 +1,112 @@
+// Picks the NASA Images API result that best matches an APOD day we couldn't get
+// the real picture for. The APOD API, page scrape or Wayback copy often still gives
+// us the title and keywords (e.g. "Veil Nebula, NGC 6960") even when the image link
+// is missing or broken; those "hints" are used to search the Images API and score
+// each candidate:
+//
+//   text (80%)  share of the hint words found in the candidate's title/keywords
+//               (a word only found in the description counts half)
+//   date (20%)  how close the candidate's creation date is to the APOD date
+//               (1 on the same day, 0.5 about 8 months away, falling off after that)
+//
+// The result is a confidence between 0 and 1. Candidates below the threshold are
+// dropped, so the fallback returns nothing rather than an unrelated picture.
+
+const { tokenize } = require('./search-index');
+
+const TEXT_WEIGHT = 0.8;
+const DATE_WEIGHT = 0.2;
+const DATE_HALF_LIFE_DAYS = 240;
+const DEFAULT_MIN_CONFIDENCE = 0.4;
+const TITLE_TERM_WEIGHT = 2;
+const KEYWORD_TERM_WEIGHT = 1.5;
+const IMAGE_URL_RE = /\.(jpe?g|png|gif)$/i;
+
+// Words that say nothing about what is in the picture
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'into', 'is', 'of', 'on',
+  'or', 'over', 'the', 'to', 'with', 'apod', 'image', 'picture', 'view', 'nasa',
+]);
+
+function terms(text) {
+  return tokenize(text).map(t => t.term).filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+// { title, keywords } -> Map(term -> weight). Title words weigh more than keywords.
+function hintTerms(hints) {
+  const weights = new Map();
+  const add = (term, weight) => weights.set(term, Math.max(weights.get(term) || 0, weight));
+  terms(hints.title).forEach(term => add(term, TITLE_TERM_WEIGHT));
+  (hints.keywords || []).forEach(keyword => terms(keyword).forEach(term => add(term, KEYWORD_TERM_WEIGHT)));
+  return weights;
+}
+
+// Search strings to try, most specific first: the title, then the first few keywords
+function hintQueries(hints) {
+  const queries = [];
+  if (hints.title) queries.push(terms(hints.title).join(' '));
+  if (hints.keywords && hints.keywords.length) queries.push(hints.keywords.slice(0, 3).join(' '));
+  return Array.from(new Set(queries.filter(Boolean)));
+}
+
+function hasHints(hints) {
+  return Boolean(hints && hintTerms(hints).size);
+}
+
+function daysApart(a, b) {
+  return Math.abs(Date.parse(a) - Date.parse(b)) / (24 * 60 * 60 * 1000);
+}
+
+// Score one normalized Images API item (see lib/images-search.js) against the hints.
+// Returns { confidence, text_score, date_score, matched_terms }.
+function scoreCandidate(item, weights, date) {
+  const strong = new Set(terms(`${item.title} ${(item.keywords || []).join(' ')}`));
+  const weak = new Set(terms(item.description));
+
+  let total = 0;
+  let found = 0;
+  const matched = [];
+  weights.forEach((weight, term) => {
+    total += weight;
+    if (strong.has(term)) found += weight;
+    else if (weak.has(term)) found += weight / 2;
+    else return;
+    matched.push(term);
+  });
+  const textScore = total ? found / total : 0;
+
+  const days = item.date ? daysApart(item.date.slice(0, 10), date) : NaN;
+  const dateScore = Number.isNaN(days) ? 0 : Math.pow(0.5, days / DATE_HALF_LIFE_DAYS);
+
+  const confidence = TEXT_WEIGHT * textScore + DATE_WEIGHT * dateScore;
+  return {
+    confidence: Math.round(confidence * 1000) / 1000,
+    text_score: Math.round(textScore * 1000) / 1000,
+    date_score: Math.round(dateScore * 1000) / 1000,
+    matched_terms: matched,
+  };
+}
+
+// Best image among `items` for the APOD `date`, or null when nothing reaches
+// `minConfidence`. Returns { item, confidence, text_score, date_score, matched_terms }.
+function pickBestMatch(items, hints, date, { minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+  const weights = hintTerms(hints || {});
+  if (!weights.size) return null;
+
+  let best = null;
+  items
+    .filter(item => IMAGE_URL_RE.test(item.url || ''))
+    .forEach(item => {
+      const score = scoreCandidate(item, weights, date);
+      if (!best || score.confidence > best.confidence) best = { item, ...score };
+    });
+  return best && best.confidence >= minConfidence ? best : null;
+}
+
+module.exports = {
+  DEFAULT_MIN_CONFIDENCE,
+  hasHints,
+  hintQueries,
+  scoreCandidate,
+  pickBestMatch,
+};
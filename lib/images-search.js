@@ -0,0 +1,202 @@
+// NASA Images API (images-api.nasa.gov) search, shared by the /images-search route
+// and the proxy's own images fallback. Results are normalized into the item shape
+// the gallery renders:
+//   { title, url, thumbnail, media_type, date, nasa_id, description, photographer, center, keywords }
+// Each page of results also carries facet counts (centers, years, media types and the
+// most common keywords) so the app can offer one-click filters.
+// fetchAssets() reads one item's asset manifest (all its files) for the lightbox.
+
+const axios = require('axios');
+
+const IMAGES_API_BASE = 'https://images-api.nasa.gov';
+const MEDIA_TYPES = ['image', 'video', 'audio'];
+const MAX_PAGE_SIZE = 100;
+const TEXT_FILTERS = ['center', 'photographer', 'keywords', 'description'];
+const MAX_FILTER_LENGTH = 200;
+const TOP_KEYWORDS = 15;
+
+// Validate query-string style input and return clean search params.
+// Throws an Error with a user-facing message when something is invalid.
+function parseSearchParams(query) {
+  const params = {};
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q) params.q = q;
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) throw new Error('`page` must be a whole number of 1 or more.');
+  params.page = page;
+
+  const pageSize = query.page_size === undefined ? 100 : Number(query.page_size);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new Error(`\`page_size\` must be a whole number between 1 and ${MAX_PAGE_SIZE}.`);
+  }
+  params.page_size = pageSize;
+
+  if (query.media_type !== undefined) {
+    const types = String(query.media_type).split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+    const unknown = types.filter(t => !MEDIA_TYPES.includes(t));
+    if (!types.length || unknown.length) {
+      throw new Error(`\`media_type\` must be a comma-separated list of ${MEDIA_TYPES.join(', ')}.`);
+    }
+    params.media_type = types.join(',');
+  }
+
+  ['year_start', 'year_end'].forEach(name => {
+    if (query[name] === undefined || query[name] === '') return;
+    if (!/^\d{4}$/.test(String(query[name]))) throw new Error(`\`${name}\` must be a four-digit year.`);
+    params[name] = String(query[name]);
+  });
+  if (params.year_start && params.year_end && params.year_start > params.year_end) {
+    throw new Error('`year_start` must not be after `year_end`.');
+  }
+
+  // Free-text filters passed straight to the Images API (`keywords` is comma-separated)
+  TEXT_FILTERS.forEach(name => {
+    if (typeof query[name] !== 'string' || !query[name].trim()) return;
+    const value = query[name].trim();
+    if (value.length > MAX_FILTER_LENGTH) throw new Error(`\`${name}\` must be at most ${MAX_FILTER_LENGTH} characters.`);
+    params[name] = name === 'keywords'
+      ? value.split(',').map(k => k.trim()).filter(Boolean).join(',')
+      : value;
+  });
+
+  const filters = ['q', 'year_start', 'year_end'].concat(TEXT_FILTERS);
+  if (!filters.some(name => params[name])) {
+    throw new Error('Provide a search term `q` (or at least one filter: year, `center`, `photographer`, `keywords` or `description`).');
+  }
+  return params;
+}
+
+// Stable cache key for a set of search params
+function searchCacheKey(params) {
+  const parts = Object.keys(params).sort().map(k => `${k}=${params[k]}`);
+  return `images:${parts.join('&')}`;
+}
+
+// Map one images-api collection item into the gallery item shape
+function normalizeItem(i) {
+  // asset metadata is in i.data[0], link(s) in i.links
+  const d = (i.data && i.data[0]) || {};
+  const link = (i.links && i.links[0] && i.links[0].href) || '';
+  const preview = i.links && i.links.find(l => l.rel === 'preview');
+  const thumb = (preview && preview.href) || link;
+  return {
+    title: d.title || d.description || '',
+    url: link,
+    thumbnail: thumb,
+    media_type: d.media_type || (link.match(/\.(jpg|png|gif)$/i) ? 'image' : 'video'),
+    date: d.date_created || '',
+    nasa_id: d.nasa_id || d.identifier || '',
+    description: d.description || d.description_508 || '',
+    photographer: d.photographer || d.center || '',
+    center: d.center || '',
+    keywords: d.keywords || [],
+  };
+}
+
+// [{ value, count }] sorted by count (then value), from a Map of counts
+function sortedCounts(counts, limit) {
+  const list = Array.from(counts, ([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+  return limit ? list.slice(0, limit) : list;
+}
+
+function countInto(counts, value) {
+  if (value) counts.set(value, (counts.get(value) || 0) + 1);
+}
+
+// Facet counts for one page of normalized items:
+//   { centers, years, media_types, keywords } — each a list of { value, count }.
+// Keywords are matched case-insensitively and the most common spelling is shown.
+function facetsFor(items) {
+  const centers = new Map();
+  const years = new Map();
+  const mediaTypes = new Map();
+  const keywords = new Map(); // lowercase -> { count, spellings: Map }
+  items.forEach(item => {
+    countInto(centers, item.center);
+    countInto(years, /^\d{4}/.test(item.date) ? item.date.slice(0, 4) : null);
+    countInto(mediaTypes, item.media_type);
+    const seen = new Set();
+    (item.keywords || []).map(k => String(k).trim()).filter(Boolean).forEach(keyword => {
+      const key = keyword.toLowerCase();
+      if (seen.has(key)) return;
+      seen.add(key);
+      const entry = keywords.get(key) || { count: 0, spellings: new Map() };
+      entry.count += 1;
+      countInto(entry.spellings, keyword);
+      keywords.set(key, entry);
+    });
+  });
+
+  const keywordCounts = new Map();
+  keywords.forEach(entry => keywordCounts.set(sortedCounts(entry.spellings)[0].value, entry.count));
+  return {
+    centers: sortedCounts(centers),
+    years: Array.from(years, ([value, count]) => ({ value, count })).sort((a, b) => b.value.localeCompare(a.value)),
+    media_types: sortedCounts(mediaTypes),
+    keywords: sortedCounts(keywordCounts, TOP_KEYWORDS),
+  };
+}
+
+// Run a search against images-api.nasa.gov.
+// Returns { items, total_hits, page, page_size, next_page, facets } where next_page is
+// null on the last page and facets are counted over this page's items.
+async function searchImages(params, { timeout = 15000 } = {}) {
+  const res = await axios.get(`${IMAGES_API_BASE}/search`, { params, timeout });
+  const collection = (res.data && res.data.collection) || {};
+  const rawItems = Array.isArray(collection.items) ? collection.items : [];
+
+  const items = rawItems
+    // skip items without links
+    .filter(i => Array.isArray(i.links) && i.links.length)
+    .map(normalizeItem);
+
+  const totalHits = (collection.metadata && collection.metadata.total_hits) || 0;
+  const hasNext = Array.isArray(collection.links) && collection.links.some(l => l.rel === 'next');
+
+  return {
+    items,
+    total_hits: totalHits,
+    page: params.page,
+    page_size: params.page_size,
+    next_page: hasNext ? params.page + 1 : null,
+    facets: facetsFor(items),
+  };
+}
+
+// Check a NASA id from a URL path. NASA ids are free-form (PIA12345, as11-40-5874,
+// GSFC_20171208_Archive_e000579, ...), so only things that can't be part of one are
+// refused. Throws an Error with a user-facing message when it is invalid.
+function parseNasaId(value) {
+  const id = String(value || '').trim();
+  if (!id || id.length > MAX_FILTER_LENGTH || /[\/\\?#\u0000-\u001f]/.test(id)) {
+    throw new Error('`nasa_id` must be a NASA Images id such as PIA12345.');
+  }
+  return id;
+}
+
+// The files of one Images API item: { nasa_id, video, image }. `video` is the first
+// .mp4 file. `image` is the ~large copy when there is one (the ~orig file can be tens
+// of megabytes, and the manifest ends with small ~thumb copies), then ~orig, then the
+// first picture. Either is null when the item has none. Links are switched to https.
+async function fetchAssets(nasaId, { timeout = 15000 } = {}) {
+  const res = await axios.get(`${IMAGES_API_BASE}/asset/${encodeURIComponent(nasaId)}`, { timeout });
+  const items = (res.data && res.data.collection && res.data.collection.items) || [];
+  const hrefs = items
+    .map(item => (item && typeof item.href === 'string' ? item.href.replace(/^http:\/\//i, 'https://') : ''))
+    .filter(Boolean);
+  const images = hrefs.filter(href => /\.(jpg|jpeg|png|gif)$/i.test(href));
+  const image = images.find(href => /~large\.\w+$/i.test(href))
+    || images.find(href => /~orig\.\w+$/i.test(href))
+    || images[0]
+    || null;
+  return {
+    nasa_id: nasaId,
+    video: hrefs.find(href => /\.mp4$/i.test(href)) || null,
+    image,
+  };
+}
+
+module.exports = { parseSearchParams, searchCacheKey, searchImages, normalizeItem, facetsFor, parseNasaId, fetchAssets };
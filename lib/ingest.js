@@ -0,0 +1,104 @@
+// `node server.js ingest --from 1995-06-16 --to 2025-10-01`
+// Walks every date through the proxy's provider chain and appends the results to
+// the local archive (see lib/apod-archive.js). Progress is saved to a checkpoint
+// file next to the archive, so an interrupted run picks up where it stopped.
+//
+// Options:
+//   --from YYYY-MM-DD     first date (default 1995-06-16)
+//   --to YYYY-MM-DD       last date (default today)
+//   --delay MS            pause between upstream lookups (default 1000)
+//   --restart             ignore the checkpoint and start again from --from
+//                         (dates already in the archive are still skipped)
+// Running the same command again after a finished run retries the failed dates.
+//   --allow-fallback      also archive images-api fallback results (off by default,
+//                         since those are related NASA images, not the real APOD)
+
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+  const opts = { delay: 1000, restart: false, allowFallback: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--from') opts.from = argv[++i];
+    else if (arg === '--to') opts.to = argv[++i];
+    else if (arg === '--delay') opts.delay = parseInt(argv[++i], 10);
+    else if (arg === '--restart') opts.restart = true;
+    else if (arg === '--allow-fallback') opts.allowFallback = true;
+    else throw new Error(`Unknown ingest option: ${arg}`);
+  }
+  if (Number.isNaN(opts.delay) || opts.delay < 0) throw new Error('--delay must be a number of milliseconds.');
+  return opts;
+}
+
+function readCheckpoint(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+function writeCheckpoint(file, checkpoint) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ ...checkpoint, updatedAt: new Date().toISOString() }, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// `dates` is the full list of days to ingest; `resolve(date)` returns { entry, attempts }.
+async function runIngest({ archive, dates, resolve, delay, restart, allowFallback, log = console.log }) {
+  const checkpointFile = `${archive.file}.checkpoint.json`;
+  const from = dates[0];
+  const to = dates[dates.length - 1];
+
+  let checkpoint = restart ? null : readCheckpoint(checkpointFile);
+  if (checkpoint && (checkpoint.from !== from || checkpoint.to !== to)) {
+    log(`Checkpoint is for ${checkpoint.from}..${checkpoint.to}; starting a new run for ${from}..${to}.`);
+    checkpoint = null;
+  }
+  // A finished run starts over; archived dates are skipped, so only failures are retried
+  if (checkpoint && !checkpoint.next) checkpoint = null;
+  if (!checkpoint) checkpoint = { from, to, next: from, done: 0, failed: [] };
+  else log(`Resuming at ${checkpoint.next} (${checkpoint.done} done, ${checkpoint.failed.length} failed so far).`);
+
+  const start = dates.indexOf(checkpoint.next);
+  const todo = dates.slice(start === -1 ? 0 : start);
+  fs.mkdirSync(path.dirname(checkpointFile), { recursive: true });
+
+  for (let i = 0; i < todo.length; i++) {
+    const date = todo[i];
+    if (archive.has(date)) {
+      checkpoint.done += 1;
+    } else {
+      let result = { entry: null, attempts: [] };
+      try {
+        result = await resolve(date);
+      } catch (err) {
+        // counted as a failure below
+      }
+      const { entry } = result;
+      if (entry && (allowFallback || entry.source !== 'images-api-fallback')) {
+        archive.append(entry);
+        checkpoint.done += 1;
+        log(`${date}  ok      ${entry.source}`);
+      } else {
+        if (!checkpoint.failed.includes(date)) checkpoint.failed.push(date);
+        const why = entry ? 'only an images-api fallback' : result.attempts.map(a => `${a.provider}:${a.outcome}`).join(' ');
+        log(`${date}  failed  ${why}`);
+      }
+      // Be polite to the upstreams between lookups
+      if (delay && i < todo.length - 1) await sleep(delay);
+    }
+
+    checkpoint.next = todo[i + 1] || null;
+    writeCheckpoint(checkpointFile, checkpoint);
+  }
+
+  log(`Ingest finished: ${checkpoint.done} archived, ${checkpoint.failed.length} failed. Archive: ${archive.file}`);
+  if (checkpoint.failed.length) log(`Failed dates are listed in ${checkpointFile}; run the same command again to retry them.`);
+  return checkpoint;
+}
+
+module.exports = { parseArgs, runIngest };
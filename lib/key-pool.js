@@ -0,0 +1,111 @@
+// Pool of api.nasa.gov keys with rate-limit awareness.
+// api.nasa.gov reports X-RateLimit-Limit / X-RateLimit-Remaining on every response
+// (per key, rolling one-hour window). The pool:
+// - keeps using the current key until it runs low, then rotates to the next one
+// - parks a key after a 429 (or when it hits zero) until its window should have reset
+// - reports key health by label (key-1, key-2, ...) and never exposes the key values
+
+function createKeyPool(keys, { lowWatermark = 5, parkMs = 60 * 60 * 1000 } = {}) {
+  const entries = keys.map((key, idx) => ({
+    id: `key-${idx + 1}`,
+    key,
+    demo: key === 'DEMO_KEY',
+    limit: null,
+    remaining: null,
+    parkedUntil: 0,
+    requests: 0,
+    rateLimited: 0,
+  }));
+  let current = 0;
+
+  function isParked(entry) {
+    if (!entry.parkedUntil) return false;
+    if (Date.now() >= entry.parkedUntil) {
+      // Window has passed: forget the old counters and try the key again
+      entry.parkedUntil = 0;
+      entry.remaining = null;
+      return false;
+    }
+    return true;
+  }
+
+  function isLow(entry) {
+    return entry.remaining !== null && entry.remaining <= lowWatermark;
+  }
+
+  // Pick a key for the next request. Returns { id, key } or null when every key is parked.
+  // Keys that are running low are only used when nothing better is available.
+  function acquire(exclude = []) {
+    const usable = [];
+    for (let offset = 0; offset < entries.length; offset++) {
+      const idx = (current + offset) % entries.length;
+      const entry = entries[idx];
+      if (exclude.includes(entry.id) || isParked(entry)) continue;
+      if (!isLow(entry)) {
+        current = idx;
+        return { id: entry.id, key: entry.key };
+      }
+      usable.push(idx);
+    }
+    if (!usable.length) return null;
+    // All remaining keys are low: use the one with the most requests left
+    const best = usable.reduce((a, b) => (entries[b].remaining > entries[a].remaining ? b : a));
+    current = best;
+    return { id: entries[best].id, key: entries[best].key };
+  }
+
+  // Record the outcome of a request made with key `id`.
+  // `headers` are the response headers, `status` the HTTP status (if any).
+  function report(id, { status, headers = {} } = {}) {
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return;
+    entry.requests += 1;
+
+    const limit = parseInt(headers['x-ratelimit-limit'], 10);
+    const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    if (!Number.isNaN(limit)) entry.limit = limit;
+    if (!Number.isNaN(remaining)) entry.remaining = remaining;
+
+    if (status === 429 || entry.remaining === 0) {
+      if (status === 429) entry.rateLimited += 1;
+      const retryAfter = parseInt(headers['retry-after'], 10);
+      entry.parkedUntil = Date.now() + (Number.isNaN(retryAfter) ? parkMs : retryAfter * 1000);
+      entry.remaining = 0;
+    }
+  }
+
+  // Non-sensitive view of every key for operators
+  function health() {
+    return entries.map(entry => {
+      const parked = isParked(entry);
+      let state = 'ok';
+      if (parked) state = 'parked';
+      else if (isLow(entry)) state = 'low';
+      return {
+        id: entry.id,
+        demo_key: entry.demo,
+        state,
+        limit: entry.limit,
+        remaining: entry.remaining,
+        parked_until: parked ? new Date(entry.parkedUntil).toISOString() : null,
+        requests: entry.requests,
+        rate_limited: entry.rateLimited,
+      };
+    });
+  }
+
+  return { acquire, report, health, size: entries.length };
+}
+
+// Read keys from NASA_API_KEYS (comma-separated) and NASA_API_KEY; DEMO_KEY if none are set
+function keysFromEnv(env = process.env) {
+  const keys = []
+    .concat((env.NASA_API_KEYS || '').split(','))
+    .concat(env.NASA_API_KEY || '')
+    .map(k => k.trim())
+    .filter(Boolean);
+  const unique = Array.from(new Set(keys));
+  return unique.length ? unique : ['DEMO_KEY'];
+}
+
+module.exports = { createKeyPool, keysFromEnv };
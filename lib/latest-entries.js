@@ -0,0 +1,56 @@
+// In-memory list of resolved APOD entries, sorted by date, for the feeds.
+// - A feed request only reads the newest N entries instead of loading and sorting
+//   every cached and archived entry
+// - Each entry remembers when we stored it (`storedAt`), which is what the feeds'
+//   Last-Modified is built from
+// - Entries from the local archive win over cached copies of the same date
+
+function createLatestEntries() {
+  const byDate = new Map(); // date -> { entry, storedAt, archived }
+  const dates = []; // sorted oldest first
+  let removedAt = 0;
+
+  // Index of the first date in `dates` that is >= `date`
+  function position(date) {
+    let low = 0;
+    let high = dates.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (dates[mid] < date) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  // Add or replace the entry for `entry.date`. A cached copy (`archived: false`) does
+  // not replace an archived entry.
+  function set(entry, { storedAt, archived = false }) {
+    if (!entry || !entry.date) return;
+    const current = byDate.get(entry.date);
+    if (current && current.archived && !archived) return;
+    if (!current) dates.splice(position(entry.date), 0, entry.date);
+    byDate.set(entry.date, { entry, storedAt, archived });
+  }
+
+  function remove(date) {
+    if (!byDate.delete(date)) return;
+    dates.splice(position(date), 1);
+    removedAt = Date.now();
+  }
+
+  // The newest `limit` entries, newest first, as { entry, storedAt }
+  function latest(limit) {
+    return dates.slice(-limit).reverse().map(date => byDate.get(date));
+  }
+
+  return {
+    set,
+    remove,
+    latest,
+    size: () => byDate.size,
+    // When an entry was last removed (a removal changes the feeds too)
+    removedAt: () => removedAt,
+  };
+}
+
+module.exports = { createLatestEntries };
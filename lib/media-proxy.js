@@ -0,0 +1,357 @@
+// /media?url=... — streams NASA images and videos (and Wayback copies of APOD
+// pictures) through the server.
+// - Only URLs under known asset paths are allowed (see DEFAULT_MEDIA_SOURCES), and only
+//   image/*, video/* and audio/* responses are passed on (anything else gets a 415).
+//   Everything is sent with `nosniff` and a sandboxing CSP, so even a wrong upstream
+//   answer can't run as a page on our origin.
+// - Each asset is saved on disk as <sha1>.bin plus a <sha1>.json with its headers.
+//   The whole cache is capped at `maxCacheBytes`; least recently used assets go first
+// - Cached assets are served with res.sendFile, which handles Range requests (so
+//   mp4s can be seeked) and conditional requests from the browser
+// - Once an asset is older than `freshMs` it is revalidated upstream with
+//   If-None-Match / If-Modified-Since; a 304 keeps the cached copy
+// - If upstream is down, a stale cached copy is served instead of an error
+// - A Range request for an asset we don't have yet is forwarded upstream as-is, and
+//   the full asset is downloaded into the cache in the background
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Where media may come from: a host and the asset paths on it that we actually use.
+// Whole hosts like web.archive.org or archive.org/download can't be allowed: they serve
+// anybody's files.
+const DEFAULT_MEDIA_SOURCES = [
+  // APOD pictures
+  { host: 'apod.nasa.gov', path: /^\/apod\/image\// },
+  // NASA Images API assets
+  { host: 'images-assets.nasa.gov', path: /^\/(image|video|audio)\// },
+  // Wayback Machine copies of APOD pictures (for days only Wayback still has)
+  { host: 'web.archive.org', path: /^\/web\/\d{1,14}(im_|id_)?\/https?:\/\/apod\.nasa\.gov\/apod\/image\// },
+];
+
+// MEDIA_ALLOWED_HOSTS-style host names -> sources allowing any path on them
+function sourcesForHosts(hosts) {
+  return hosts.map(host => ({ host: host.toLowerCase(), path: /^\// }));
+}
+
+function isAllowedUrl(url, allowedSources) {
+  const host = url.hostname.toLowerCase();
+  return allowedSources.some(source => source.host === host && source.path.test(url.pathname));
+}
+
+// Parse and check a media URL. Returns a URL object or null when it isn't allowed.
+function parseMediaUrl(value, allowedSources) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (err) {
+    return null;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+  return isAllowedUrl(url, allowedSources) ? url : null;
+}
+
+function isMediaType(contentType) {
+  return /^(image|video|audio)\//i.test(String(contentType || '').trim());
+}
+
+// Response headers worth passing from upstream to the browser
+const PASSTHROUGH_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'etag', 'last-modified'];
+
+// Sent with every media response: never guess another type, never run as a page
+function setSafetyHeaders(res) {
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.set('Content-Security-Policy', 'sandbox');
+}
+
+function createMediaProxy({
+  dir,
+  allowedSources = DEFAULT_MEDIA_SOURCES,
+  freshMs = 24 * 60 * 60 * 1000,
+  maxFileBytes = 200 * 1024 * 1024,
+  maxCacheBytes = 2 * 1024 * 1024 * 1024,
+  timeout = 20000,
+}) {
+  // url -> promise for background downloads, so one asset is only fetched once at a time
+  const downloads = new Map();
+
+  // Cached assets: hash -> size in bytes. Map order is LRU order (least recently used
+  // first). Filled from the meta files on first use, oldest check first.
+  let sizes = null;
+  let totalBytes = 0;
+
+  function filesFor(url) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex');
+    return { hash, body: path.join(dir, `${hash}.bin`), meta: path.join(dir, `${hash}.json`) };
+  }
+
+  function loadSizes() {
+    if (sizes) return;
+    sizes = new Map();
+    let names = [];
+    try {
+      names = fs.readdirSync(dir).filter(name => name.endsWith('.json'));
+    } catch (err) {
+      return; // nothing cached yet
+    }
+    names
+      .map(name => {
+        try {
+          const meta = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+          return { hash: name.slice(0, -'.json'.length), size: meta.size || 0, checkedAt: meta.checkedAt || 0 };
+        } catch (err) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.checkedAt - b.checkedAt)
+      .forEach(({ hash, size }) => {
+        sizes.set(hash, size);
+        totalBytes += size;
+      });
+  }
+
+  // Mark an asset as just used
+  function touch(hash) {
+    loadSizes();
+    if (!sizes.has(hash)) return;
+    const size = sizes.get(hash);
+    sizes.delete(hash);
+    sizes.set(hash, size);
+  }
+
+  // Record a newly saved asset, then evict least recently used ones over the cap
+  function track(hash, size) {
+    loadSizes();
+    if (sizes.has(hash)) totalBytes -= sizes.get(hash);
+    sizes.delete(hash);
+    sizes.set(hash, size);
+    totalBytes += size;
+    for (const [oldHash, oldSize] of sizes) {
+      if (totalBytes <= maxCacheBytes) break;
+      if (oldHash === hash) continue;
+      fs.rmSync(path.join(dir, `${oldHash}.bin`), { force: true });
+      fs.rmSync(path.join(dir, `${oldHash}.json`), { force: true });
+      sizes.delete(oldHash);
+      totalBytes -= oldSize;
+    }
+  }
+
+  function readMeta(files) {
+    try {
+      const meta = JSON.parse(fs.readFileSync(files.meta, 'utf8'));
+      return fs.existsSync(files.body) ? meta : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function writeMeta(files, meta) {
+    const tmp = `${files.meta}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(meta));
+    fs.renameSync(tmp, files.meta);
+  }
+
+  // Refuse redirects that leave the allowed sources
+  function beforeRedirect(options) {
+    const target = parseMediaUrl(`${options.protocol}//${options.hostname}${options.path || '/'}`, allowedSources);
+    if (!target) throw new Error(`Redirect to ${options.hostname} is not allowed`);
+  }
+
+  function upstreamGet(url, headers = {}) {
+    return axios.get(url, {
+      responseType: 'stream',
+      timeout,
+      headers,
+      beforeRedirect,
+      // Let 206/304 (and errors) through so we can decide what to do with them
+      validateStatus: () => true,
+    });
+  }
+
+  // Save an upstream 200 response to disk (temp file + rename).
+  // Resolves with the new meta once the whole body is written. Gives up (and rejects)
+  // once more than `maxFileBytes` arrived, even when upstream sent no Content-Length;
+  // the stream itself keeps flowing to whoever else reads it.
+  function saveToDisk(url, upstream) {
+    const files = filesFor(url);
+    const tmp = `${files.body}.${process.pid}.${Date.now()}.tmp`;
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let out;
+      function fail(err) {
+        if (settled) return;
+        settled = true;
+        upstream.data.removeListener('data', countBytes);
+        const removeTmp = () => fs.unlink(tmp, () => reject(err));
+        if (!out) return removeTmp();
+        upstream.data.unpipe(out);
+        out.once('close', removeTmp); // the file may still be opening
+        return out.destroy();
+      }
+      let received = 0;
+      function countBytes(chunk) {
+        received += chunk.length;
+        if (received > maxFileBytes) fail(new Error(`Media larger than ${maxFileBytes} bytes is not cached`));
+      }
+
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        out = fs.createWriteStream(tmp);
+      } catch (err) {
+        fail(err);
+        return;
+      }
+      upstream.data.on('error', fail);
+      upstream.data.on('data', countBytes);
+      out.on('error', fail);
+      out.on('finish', () => {
+        if (settled) return;
+        settled = true;
+        upstream.data.removeListener('data', countBytes);
+        try {
+          fs.renameSync(tmp, files.body);
+          const meta = {
+            url,
+            contentType: upstream.headers['content-type'] || 'application/octet-stream',
+            etag: upstream.headers.etag || null,
+            lastModified: upstream.headers['last-modified'] || null,
+            size: fs.statSync(files.body).size,
+            fetchedAt: Date.now(),
+            checkedAt: Date.now(),
+          };
+          writeMeta(files, meta);
+          track(files.hash, meta.size);
+          resolve(meta);
+        } catch (err) {
+          reject(err);
+        }
+      });
+      upstream.data.pipe(out);
+    });
+  }
+
+  function tooLarge(upstream) {
+    const length = parseInt(upstream.headers['content-length'], 10);
+    return !Number.isNaN(length) && length > maxFileBytes;
+  }
+
+  // Download the full asset into the cache without a browser waiting on it
+  function fillInBackground(url) {
+    if (downloads.has(url)) return downloads.get(url);
+    const job = upstreamGet(url)
+      .then(upstream => {
+        if (upstream.status !== 200 || tooLarge(upstream) || !isMediaType(upstream.headers['content-type'])) {
+          upstream.data.destroy();
+          return null;
+        }
+        return saveToDisk(url, upstream).catch(err => {
+          upstream.data.destroy(); // nobody else is reading this download
+          throw err;
+        });
+      })
+      .catch(() => null)
+      .finally(() => downloads.delete(url));
+    downloads.set(url, job);
+    return job;
+  }
+
+  function refuseType(res, contentType) {
+    setSafetyHeaders(res);
+    return res.status(415).json({ error: `Only images, videos and audio are proxied (upstream sent ${contentType || 'no content type'}).` });
+  }
+
+  function sendCached(res, files, meta) {
+    // Copies saved before only media types were allowed are not served either
+    if (!isMediaType(meta.contentType)) return refuseType(res, meta.contentType);
+    touch(files.hash);
+    setSafetyHeaders(res);
+    res.set('Content-Type', meta.contentType);
+    res.set('Cache-Control', 'public, max-age=86400');
+    return res.sendFile(files.body, { acceptRanges: true, lastModified: true, etag: true });
+  }
+
+  // Stream an upstream response to the browser, copying the useful headers
+  function pipeUpstream(res, upstream) {
+    const contentType = upstream.headers['content-type'];
+    if (!isMediaType(contentType)) {
+      upstream.data.destroy();
+      return refuseType(res, contentType);
+    }
+    setSafetyHeaders(res);
+    res.status(upstream.status);
+    PASSTHROUGH_HEADERS.forEach(name => {
+      if (upstream.headers[name]) res.set(name, upstream.headers[name]);
+    });
+    res.set('Cache-Control', 'public, max-age=86400');
+    upstream.data.pipe(res);
+  }
+
+  async function handle(req, res) {
+    const parsed = parseMediaUrl(req.query.url, allowedSources);
+    if (!parsed) {
+      return res.status(400).json({ error: 'Missing or unsupported `url` (only NASA media and Wayback copies of APOD pictures are allowed).' });
+    }
+    const url = parsed.href;
+    const files = filesFor(url);
+    const meta = readMeta(files);
+
+    // 1) Fresh copy on disk: serve it (sendFile takes care of Range and 304s)
+    if (meta && Date.now() - meta.checkedAt < freshMs) return sendCached(res, files, meta);
+
+    // 2) No copy yet and the browser wants a byte range (video seeking): forward the
+    //    range upstream and start caching the whole file in the background
+    if (!meta && req.headers.range) {
+      try {
+        const upstream = await upstreamGet(url, { Range: req.headers.range });
+        if (upstream.status >= 400) {
+          upstream.data.destroy();
+          return res.status(502).json({ error: `Upstream returned ${upstream.status}` });
+        }
+        if (isMediaType(upstream.headers['content-type'])) fillInBackground(url);
+        return pipeUpstream(res, upstream);
+      } catch (err) {
+        return res.status(502).json({ error: 'Could not fetch media from upstream.' });
+      }
+    }
+
+    // 3) Missing or stale: fetch (conditionally when we have a copy)
+    const conditional = {};
+    if (meta && meta.etag) conditional['If-None-Match'] = meta.etag;
+    if (meta && meta.lastModified) conditional['If-Modified-Since'] = meta.lastModified;
+
+    let upstream;
+    try {
+      upstream = await upstreamGet(url, conditional);
+    } catch (err) {
+      // Upstream unreachable: an old copy is better than nothing
+      if (meta) return sendCached(res, files, meta);
+      return res.status(502).json({ error: 'Could not fetch media from upstream.' });
+    }
+
+    if (upstream.status === 304 && meta) {
+      upstream.data.destroy();
+      meta.checkedAt = Date.now();
+      try { writeMeta(files, meta); } catch (err) { /* served from cache either way */ }
+      return sendCached(res, files, meta);
+    }
+
+    if (upstream.status !== 200) {
+      upstream.data.destroy();
+      if (meta) return sendCached(res, files, meta);
+      return res.status(upstream.status === 404 ? 404 : 502).json({ error: `Upstream returned ${upstream.status}` });
+    }
+
+    // Stream to the browser and to disk at the same time (unless the file is huge)
+    if (!tooLarge(upstream) && isMediaType(upstream.headers['content-type'])) {
+      saveToDisk(url, upstream).catch(() => { /* the browser still got its copy */ });
+    }
+    return pipeUpstream(res, upstream);
+  }
+
+  return { handle };
+}
+
+module.exports = { createMediaProxy, parseMediaUrl, sourcesForHosts, DEFAULT_MEDIA_SOURCES };
@@ -0,0 +1,107 @@
+// Minimal Prometheus metrics (text exposition format 0.0.4), no dependencies.
+// Supports counters, gauges (set directly or computed at scrape time) and histograms,
+// each with optional labels.
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  if (!keys.length) return '';
+  return `{${keys.map(k => `${k}="${escapeLabelValue(labels[k])}"`).join(',')}}`;
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function counter(name, help) {
+    const values = new Map(); // labelKey -> { labels, value }
+    const metric = {
+      name,
+      help,
+      type: 'counter',
+      inc(labels = {}, amount = 1) {
+        const key = labelKey(labels);
+        const current = values.get(key) || { labels, value: 0 };
+        current.value += amount;
+        values.set(key, current);
+      },
+      lines() {
+        return Array.from(values.values()).map(v => `${name}${formatLabels(v.labels)} ${v.value}`);
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  // `collect()` (optional) returns [{ labels, value }] at scrape time
+  function gauge(name, help, collect) {
+    const values = new Map();
+    const metric = {
+      name,
+      help,
+      type: 'gauge',
+      set(labels, value) {
+        values.set(labelKey(labels), { labels, value });
+      },
+      lines() {
+        const samples = collect ? collect() : Array.from(values.values());
+        return samples.map(v => `${name}${formatLabels(v.labels || {})} ${v.value}`);
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function histogram(name, help, buckets) {
+    const sorted = buckets.slice().sort((a, b) => a - b);
+    const series = new Map(); // labelKey -> { labels, counts, sum, count }
+    const metric = {
+      name,
+      help,
+      type: 'histogram',
+      observe(labels, value) {
+        const key = labelKey(labels);
+        const s = series.get(key) || { labels, counts: sorted.map(() => 0), sum: 0, count: 0 };
+        sorted.forEach((upper, i) => {
+          if (value <= upper) s.counts[i] += 1;
+        });
+        s.sum += value;
+        s.count += 1;
+        series.set(key, s);
+      },
+      lines() {
+        const out = [];
+        series.forEach(s => {
+          sorted.forEach((upper, i) => {
+            out.push(`${name}_bucket${formatLabels({ ...s.labels, le: upper })} ${s.counts[i]}`);
+          });
+          out.push(`${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+          out.push(`${name}_sum${formatLabels(s.labels)} ${s.sum}`);
+          out.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+        });
+        return out;
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  // Everything in Prometheus text format
+  function render() {
+    return metrics.map(m => [
+      `# HELP ${m.name} ${m.help}`,
+      `# TYPE ${m.name} ${m.type}`,
+      ...m.lines(),
+    ].join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { createRegistry };
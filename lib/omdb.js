@@ -0,0 +1,62 @@
+// OMDb (omdbapi.com) movie lookups for the lightbox, done on the server so the API
+// key never reaches the browser. Only a small, cleaned-up set of fields is passed on:
+//   { title, year, genre, runtime, director, plot, poster, imdb_id, imdb_rating, imdb_url }
+
+const axios = require('axios');
+
+const OMDB_BASE = 'https://www.omdbapi.com/';
+const MAX_TITLE_LENGTH = 200;
+
+// Validate query-string style input ({ t, y }) and return clean lookup params.
+// Throws an Error with a user-facing message when something is invalid.
+function parseLookupParams(query) {
+  const title = typeof query.t === 'string' ? query.t.replace(/\s+/g, ' ').trim() : '';
+  if (!title) throw new Error('Missing required `t` (title) query parameter.');
+  if (title.length > MAX_TITLE_LENGTH) throw new Error(`\`t\` must be at most ${MAX_TITLE_LENGTH} characters.`);
+
+  const params = { t: title };
+  if (query.y !== undefined && query.y !== '') {
+    if (!/^\d{4}$/.test(String(query.y))) throw new Error('`y` must be a four-digit year.');
+    params.y = String(query.y);
+  }
+  return params;
+}
+
+// Stable cache key (titles are matched case-insensitively by OMDb)
+function lookupCacheKey(params) {
+  return `omdb:${params.t.toLowerCase()}${params.y ? `|${params.y}` : ''}`;
+}
+
+// OMDb uses the string 'N/A' for missing values
+function field(value) {
+  return value && value !== 'N/A' ? value : null;
+}
+
+function sanitizeMovie(data) {
+  const imdbId = field(data.imdbID);
+  const poster = field(data.Poster);
+  return {
+    title: field(data.Title),
+    year: field(data.Year),
+    genre: field(data.Genre),
+    runtime: field(data.Runtime),
+    director: field(data.Director),
+    plot: field(data.Plot),
+    poster: poster && /^https:\/\//i.test(poster) ? poster : null,
+    imdb_id: imdbId,
+    imdb_rating: field(data.imdbRating),
+    imdb_url: imdbId && /^tt\d+$/.test(imdbId) ? `https://www.imdb.com/title/${imdbId}/` : null,
+  };
+}
+
+// Look a title up. Resolves to the sanitized movie, or null when OMDb has no match.
+// Throws on network errors, rejected keys and other upstream failures.
+async function lookupMovie(params, { apiKey, timeout = 10000 } = {}) {
+  const res = await axios.get(OMDB_BASE, { params: { ...params, type: 'movie', apikey: apiKey }, timeout });
+  const data = res.data || {};
+  if (data.Response === 'True') return sanitizeMovie(data);
+  if (/not found/i.test(data.Error || '')) return null;
+  throw new Error(`OMDb error: ${data.Error || 'unexpected response'}`);
+}
+
+module.exports = { parseLookupParams, lookupCacheKey, lookupMovie };
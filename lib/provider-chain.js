@@ -0,0 +1,89 @@
+// Provider chain for APOD lookups.
+// A provider is { name, timeout, enabled, breaker, resolve(date, { timeout, hints }) } where
+// resolve() returns a normalized entry or null. `hints` is one object shared by every
+// provider in a run: a provider that finds the title/keywords but no usable picture
+// can leave them there for later providers (the Images API fallback searches with
+// them). The chain tries providers in order
+// and records one attempt per provider: { provider, outcome, latency_ms, error? }
+// with outcome 'hit', 'miss', 'error', 'timeout' or 'skipped' (circuit breaker open).
+
+// Read order, enabled flag and timeout for each provider from the environment:
+//   APOD_PROVIDERS=api,scrape,wayback,images     order (providers left out are disabled)
+//   APOD_PROVIDER_<NAME>_ENABLED=false           turn a single provider off
+//   APOD_PROVIDER_<NAME>_TIMEOUT_MS=15000        per-provider timeout
+// `defaults` is { name: { timeout } } in the default order.
+function loadProviderConfig(defaults, env = process.env) {
+  const known = Object.keys(defaults);
+  const order = env.APOD_PROVIDERS
+    ? env.APOD_PROVIDERS.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+    : known;
+
+  const unknown = order.filter(name => !known.includes(name));
+  if (unknown.length) {
+    throw new Error(`APOD_PROVIDERS has unknown provider(s): ${unknown.join(', ')} (known: ${known.join(', ')})`);
+  }
+
+  // Listed providers first (in the configured order), then the rest as disabled
+  const names = order.concat(known.filter(name => !order.includes(name)));
+  return names.map(name => {
+    const prefix = `APOD_PROVIDER_${name.toUpperCase()}`;
+    const timeout = parseInt(env[`${prefix}_TIMEOUT_MS`], 10) || defaults[name].timeout;
+    const enabled = order.includes(name) && env[`${prefix}_ENABLED`] !== 'false';
+    return { name, enabled, timeout };
+  });
+}
+
+// Parse a `sources=api,scrape` override. Returns the list of names, or throws with a
+// message suitable for a 400 response.
+function parseSourcesParam(value, known) {
+  const names = String(value).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  if (!names.length) throw new Error('`sources` must list at least one provider.');
+  const unknown = names.filter(name => !known.includes(name));
+  if (unknown.length) {
+    throw new Error(`Unknown source(s): ${unknown.join(', ')}. Known sources: ${known.join(', ')}.`);
+  }
+  return names;
+}
+
+function isTimeoutError(err) {
+  return Boolean(err && (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT'));
+}
+
+// Reject with an ETIMEDOUT error if `promise` takes longer than `ms`
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`timed out after ${ms}ms`);
+      err.code = 'ETIMEDOUT';
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Try each provider in turn until one returns an entry.
+async function runProviderChain(providers, date) {
+  const attempts = [];
+  const hints = {};
+  for (const provider of providers) {
+    const started = Date.now();
+    const attempt = { provider: provider.name, outcome: 'miss', latency_ms: 0 };
+    let entry = null;
+    try {
+      entry = await provider.breaker.call(() => withTimeout(provider.resolve(date, { timeout: provider.timeout, hints }), provider.timeout));
+      attempt.outcome = entry ? 'hit' : 'miss';
+    } catch (err) {
+      if (err.code === 'CIRCUIT_OPEN') attempt.outcome = 'skipped';
+      else if (isTimeoutError(err)) attempt.outcome = 'timeout';
+      else attempt.outcome = 'error';
+      attempt.error = err.message;
+    }
+    attempt.latency_ms = Date.now() - started;
+    attempts.push(attempt);
+    if (entry) return { entry, attempts };
+  }
+  return { entry: null, attempts };
+}
+
+module.exports = { loadProviderConfig, parseSourcesParam, runProviderChain };
@@ -0,0 +1,199 @@
+// In-memory full-text index over APOD entries (title, explanation, copyright).
+// - Inverted index: term -> Map(date -> { field: [token positions] })
+// - Ranking: BM25 per field, with title and credit matches weighted above the explanation
+// - Queries: bare words must all appear (in any field); "quoted phrases" must appear
+//   as consecutive words within one field
+// - Results carry HTML snippets with the matched words wrapped in <mark>
+
+const FIELDS = { title: 3, copyright: 1.5, explanation: 1 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SNIPPET_CHARS = 200;
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Normalize a word for indexing: lowercase, no accents, no possessive "'s"
+function normalizeWord(word) {
+  return word
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[’']s$/, '')
+    .replace(/[’']/g, '');
+}
+
+// Split text into tokens and remember where each one sits in the original string
+// (the offsets are used to highlight snippets).
+function tokenize(text) {
+  const tokens = [];
+  const re = /[\p{L}\p{N}]+(?:[’'][\p{L}\p{N}]+)*/gu;
+  let match;
+  while ((match = re.exec(text || '')) !== null) {
+    const term = normalizeWord(match[0]);
+    if (term) tokens.push({ term, start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// Split a query into { terms, phrases }. Phrases are given in double quotes.
+function parseQuery(q) {
+  const phrases = [];
+  const rest = String(q || '').replace(/"([^"]*)"/g, (m, phrase) => {
+    const words = tokenize(phrase).map(t => t.term);
+    if (words.length) phrases.push(words);
+    return ' ';
+  });
+  const terms = tokenize(rest).map(t => t.term);
+  return { terms: Array.from(new Set(terms)), phrases };
+}
+
+function createSearchIndex() {
+  const docs = new Map(); // date -> { entry, lengths: { field: n } }
+  const postings = new Map(); // term -> Map(date -> { field: [positions] })
+  const totalLengths = { title: 0, copyright: 0, explanation: 0 };
+
+  function remove(date) {
+    const doc = docs.get(date);
+    if (!doc) return;
+    Object.keys(FIELDS).forEach(field => {
+      totalLengths[field] -= doc.lengths[field];
+    });
+    doc.terms.forEach(term => {
+      const list = postings.get(term);
+      if (!list) return;
+      list.delete(date);
+      if (!list.size) postings.delete(term);
+    });
+    docs.delete(date);
+  }
+
+  // Add or replace the entry for `entry.date`
+  function add(entry) {
+    if (!entry || !entry.date) return;
+    remove(entry.date);
+    const lengths = {};
+    const terms = new Set();
+    Object.keys(FIELDS).forEach(field => {
+      const tokens = tokenize(entry[field]);
+      lengths[field] = tokens.length;
+      totalLengths[field] += tokens.length;
+      tokens.forEach((token, pos) => {
+        terms.add(token.term);
+        if (!postings.has(token.term)) postings.set(token.term, new Map());
+        const list = postings.get(token.term);
+        if (!list.has(entry.date)) list.set(entry.date, {});
+        const fields = list.get(entry.date);
+        (fields[field] = fields[field] || []).push(pos);
+      });
+    });
+    docs.set(entry.date, { entry, lengths, terms });
+  }
+
+  // Does `words` appear as consecutive tokens in one field of doc `date`?
+  function hasPhrase(date, words) {
+    const lists = words.map(w => postings.get(w) && postings.get(w).get(date));
+    if (lists.some(l => !l)) return false;
+    return Object.keys(FIELDS).some(field => {
+      const first = lists[0][field] || [];
+      return first.some(pos => lists.every((l, i) => (l[field] || []).includes(pos + i)));
+    });
+  }
+
+  function bm25(term, date) {
+    const list = postings.get(term);
+    const hit = list && list.get(date);
+    if (!hit) return 0;
+    const n = docs.size;
+    const idf = Math.log(1 + (n - list.size + 0.5) / (list.size + 0.5));
+    const doc = docs.get(date);
+    let score = 0;
+    Object.keys(FIELDS).forEach(field => {
+      const tf = hit[field] ? hit[field].length : 0;
+      if (!tf) return;
+      const avg = totalLengths[field] / n || 1;
+      const norm = tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * (doc.lengths[field] / avg)));
+      score += FIELDS[field] * idf * norm;
+    });
+    return score;
+  }
+
+  // Wrap the query words found in `text` in <mark>. With `maxChars`, cut a window
+  // around the first match and add ellipses.
+  function highlight(text, words, maxChars) {
+    if (!text) return '';
+    const tokens = tokenize(text).filter(t => words.has(t.term));
+    let from = 0;
+    let to = text.length;
+    if (maxChars && text.length > maxChars) {
+      const anchor = tokens.length ? tokens[0].start : 0;
+      from = Math.max(0, anchor - Math.floor(maxChars / 3));
+      to = Math.min(text.length, from + maxChars);
+      // Don't start or end in the middle of a word
+      if (from > 0) from = text.indexOf(' ', from) + 1 || from;
+      if (to < text.length) to = text.lastIndexOf(' ', to) > from ? text.lastIndexOf(' ', to) : to;
+    }
+    let out = from > 0 ? '…' : '';
+    let cursor = from;
+    tokens.filter(t => t.start >= from && t.end <= to).forEach(t => {
+      out += escapeHtml(text.slice(cursor, t.start)) + '<mark>' + escapeHtml(text.slice(t.start, t.end)) + '</mark>';
+      cursor = t.end;
+    });
+    out += escapeHtml(text.slice(cursor, to));
+    if (to < text.length) out += '…';
+    return out;
+  }
+
+  // Search the index.
+  // Options: start_date / end_date (inclusive, YYYY-MM-DD), limit, offset.
+  // Returns { total, results } with results sorted by score (best first, newest on ties).
+  function search(q, { start_date: startDate, end_date: endDate, limit = 20, offset = 0 } = {}) {
+    const { terms, phrases } = parseQuery(q);
+    const required = Array.from(new Set(terms.concat(...phrases)));
+    if (!required.length) return { total: 0, results: [] };
+
+    // Start from the rarest term's documents and keep those that contain every term
+    const lists = required.map(term => postings.get(term));
+    if (lists.some(l => !l)) return { total: 0, results: [] };
+    lists.sort((a, b) => a.size - b.size);
+    let candidates = Array.from(lists[0].keys()).filter(date => lists.every(l => l.has(date)));
+
+    candidates = candidates.filter(date => {
+      if (startDate && date < startDate) return false;
+      if (endDate && date > endDate) return false;
+      return phrases.every(words => hasPhrase(date, words));
+    });
+
+    const scored = candidates.map(date => {
+      let score = required.reduce((sum, term) => sum + bm25(term, date), 0);
+      // Small boost for every phrase that matched exactly
+      score += phrases.length * 2;
+      return { date, score };
+    });
+    scored.sort((a, b) => b.score - a.score || (a.date < b.date ? 1 : -1));
+
+    const words = new Set(required);
+    const results = scored.slice(offset, offset + limit).map(({ date, score }) => {
+      const { entry } = docs.get(date);
+      return {
+        ...entry,
+        score: Math.round(score * 1000) / 1000,
+        highlights: {
+          title: highlight(entry.title, words),
+          snippet: highlight(entry.explanation, words, SNIPPET_CHARS),
+        },
+      };
+    });
+    return { total: scored.length, results };
+  }
+
+  return { add, remove, search, size: () => docs.size };
+}
+
+module.exports = { createSearchIndex, tokenize, parseQuery };
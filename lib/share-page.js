@@ -0,0 +1,100 @@
+// Standalone HTML page for one APOD day (/apod/:date), meant for sharing links.
+// Chat apps and social sites don't run JavaScript, so the page carries OpenGraph and
+// Twitter card tags built from the resolved entry. People who open it are sent on to
+// the app (index.html?date=YYYY-MM-DD&item=YYYY-MM-DD), which opens that day in the lightbox; the
+// page body is a plain fallback for when scripts are off.
+
+const { escapeXml: escapeHtml } = require('./feeds');
+
+const DESCRIPTION_CHARS = 200;
+const SITE_NAME = 'NASA Space Explorer';
+
+// Shorten at a word boundary and add an ellipsis
+function truncate(text, max) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= max) return clean;
+  const cut = clean.slice(0, max - 1);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > max / 2 ? cut.slice(0, space) : cut).replace(/[\s,.;:]+$/, '')}…`;
+}
+
+// Picture to use in previews: the image itself, or a video's thumbnail
+function previewImage(entry) {
+  if (entry.media_type === 'video') return entry.thumbnail_url || null;
+  return entry.url || entry.hdurl || null;
+}
+
+function metaTag(attr, name, content) {
+  return content ? `  <meta ${attr}="${name}" content="${escapeHtml(content)}" />` : null;
+}
+
+// `site` is { baseUrl } — the absolute origin the page is served from
+function renderSharePage(entry, site) {
+  const title = entry.title || `Astronomy Picture of the Day, ${entry.date}`;
+  const description = truncate(entry.explanation || `NASA Astronomy Picture of the Day for ${entry.date}.`, DESCRIPTION_CHARS);
+  const image = previewImage(entry);
+  const pageUrl = `${site.baseUrl}/apod/${entry.date}`;
+  const appUrl = `/?date=${entry.date}&item=${entry.date}`;
+  const credit = entry.copyright || entry.credit || '';
+
+  const tags = [
+    metaTag('name', 'description', description),
+    metaTag('property', 'og:type', 'article'),
+    metaTag('property', 'og:site_name', SITE_NAME),
+    metaTag('property', 'og:title', title),
+    metaTag('property', 'og:description', description),
+    metaTag('property', 'og:url', pageUrl),
+    metaTag('property', 'og:image', image),
+    metaTag('property', 'og:image:alt', image ? title : null),
+    metaTag('name', 'twitter:card', image ? 'summary_large_image' : 'summary'),
+    metaTag('name', 'twitter:title', title),
+    metaTag('name', 'twitter:description', description),
+    metaTag('name', 'twitter:image', image),
+  ].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(title)} (${escapeHtml(entry.date)}) — ${SITE_NAME}</title>
+  <link rel="canonical" href="${escapeHtml(pageUrl)}" />
+${tags.join('\n')}
+  <link href="/style.css" rel="stylesheet" type="text/css" />
+  <script>location.replace(${JSON.stringify(appUrl).replace(/</g, '\\u003c')});</script>
+</head>
+<body>
+  <div class="container share-page">
+    <h1>${escapeHtml(title)}</h1>
+    <p class="date">${escapeHtml(entry.date)}${credit ? ` — ${escapeHtml(credit)}` : ''}</p>
+    ${image ? `<img src="${escapeHtml(image)}" alt="${escapeHtml(title)}" />` : ''}
+    ${entry.explanation ? `<p>${escapeHtml(entry.explanation)}</p>` : ''}
+    <p><a href="${escapeHtml(appUrl)}">Open this day in ${SITE_NAME}</a></p>
+  </div>
+</body>
+</html>
+`;
+}
+
+// Simple page for dates that are invalid or couldn't be found
+function renderMissingPage(message) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${SITE_NAME}</title>
+  <link href="/style.css" rel="stylesheet" type="text/css" />
+</head>
+<body>
+  <div class="container share-page">
+    <h1>${SITE_NAME}</h1>
+    <p>${escapeHtml(message)}</p>
+    <p><a href="/">Go to ${SITE_NAME}</a></p>
+  </div>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderSharePage, renderMissingPage };
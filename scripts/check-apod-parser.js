@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// Runs lib/apod-parser.js against the saved APOD pages in fixtures/apod-pages.
+// Each apYYMMDD.html has a matching apYYMMDD.expected.json with the fields the
+// parser should return. Prints OK/MISMATCH per page and exits non-zero on any mismatch.
+//
+// Usage: node scripts/check-apod-parser.js
+
+const fs = require('fs');
+const path = require('path');
+const { parseApodPage } = require('../lib/apod-parser');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'apod-pages');
+
+let failures = 0;
+const pages = fs.readdirSync(FIXTURES_DIR).filter(name => name.endsWith('.html')).sort();
+
+for (const page of pages) {
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, page), 'utf8');
+  const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, page.replace(/\.html$/, '.expected.json')), 'utf8'));
+  const actual = parseApodPage(html, `https://apod.nasa.gov/apod/${page}`);
+
+  const wrong = Object.keys(expected).filter(field => {
+    return JSON.stringify(actual && actual[field]) !== JSON.stringify(expected[field]);
+  });
+
+  if (wrong.length) {
+    failures += 1;
+    console.log(`${page}: MISMATCH`);
+    wrong.forEach(field => {
+      console.log(`  ${field}: expected ${JSON.stringify(expected[field])}, got ${JSON.stringify(actual && actual[field])}`);
+    });
+  } else {
+    console.log(`${page}: OK`);
+  }
+}
+
+console.log(failures ? `${failures} of ${pages.length} pages failed` : `All ${pages.length} pages parsed as expected`);
+process.exit(failures ? 1 : 0);
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+// Checks lib/circuit-breaker.js: opening after repeated timeouts or 429s, skipping
+// calls while open, letting a single trial call through once the cool-down has
+// passed (half-open), and closing or re-opening depending on how the trial went.
+// Date.now is replaced by a clock the checks move forward themselves.
+//
+// Usage: node scripts/check-circuit-breaker.js
+
+const { createCircuitBreaker } = require('../lib/circuit-breaker');
+const { expectSame, runChecks } = require('./check-runner');
+
+let now = Date.parse('2025-01-01T00:00:00Z');
+Date.now = () => now;
+
+const COOLDOWN_MS = 1000;
+
+function upstreamError(fields) {
+  return Object.assign(new Error('upstream failed'), fields);
+}
+const TIMEOUT = upstreamError({ code: 'ETIMEDOUT' });
+const RATE_LIMITED = upstreamError({ response: { status: 429 } });
+const NOT_FOUND = upstreamError({ response: { status: 404 } });
+
+// Run one call through the breaker: the value it returned or the error code it threw
+async function attempt(breaker, outcome) {
+  try {
+    return await breaker.call(async () => {
+      if (outcome instanceof Error) throw outcome;
+      return outcome;
+    });
+  } catch (err) {
+    return err.code || (err.response && err.response.status);
+  }
+}
+
+// A breaker that has just opened after three timeouts
+async function openBreaker() {
+  const breaker = createCircuitBreaker({ name: 'upstream', failureThreshold: 3, cooldownMs: COOLDOWN_MS });
+  for (let i = 0; i < 3; i++) await attempt(breaker, TIMEOUT);
+  return breaker;
+}
+
+const CHECKS = [
+  {
+    name: 'opens after failureThreshold timeouts or 429s in a row',
+    async run() {
+      const problems = [];
+      const breaker = createCircuitBreaker({ name: 'upstream', failureThreshold: 3, cooldownMs: COOLDOWN_MS });
+      await attempt(breaker, TIMEOUT);
+      await attempt(breaker, RATE_LIMITED);
+      expectSame(problems, 'after two failures', breaker.status(), { name: 'upstream', state: 'closed', failures: 2 });
+      await attempt(breaker, TIMEOUT);
+      expectSame(problems, 'after three failures', breaker.status().state, 'open');
+      return problems;
+    },
+  },
+  {
+    name: 'a success or a not-found answer resets the failure count',
+    async run() {
+      const problems = [];
+      const breaker = createCircuitBreaker({ name: 'upstream', failureThreshold: 3, cooldownMs: COOLDOWN_MS });
+      await attempt(breaker, TIMEOUT);
+      await attempt(breaker, TIMEOUT);
+      expectSame(problems, 'not found passes through', await attempt(breaker, NOT_FOUND), 404);
+      await attempt(breaker, TIMEOUT);
+      expectSame(problems, 'state', breaker.status(), { name: 'upstream', state: 'closed', failures: 1 });
+      return problems;
+    },
+  },
+  {
+    name: 'open: calls are skipped without reaching the upstream',
+    async run() {
+      const problems = [];
+      const breaker = await openBreaker();
+      let called = false;
+      const result = await breaker.call(async () => { called = true; }).catch(err => err.code);
+      expectSame(problems, 'result', result, 'CIRCUIT_OPEN');
+      expectSame(problems, 'upstream called', called, false);
+      now += COOLDOWN_MS - 1;
+      expectSame(problems, 'just before the cool-down ends', await attempt(breaker, 'ok'), 'CIRCUIT_OPEN');
+      return problems;
+    },
+  },
+  {
+    name: 'half-open after the cool-down: one trial at a time, success closes it',
+    async run() {
+      const problems = [];
+      const breaker = await openBreaker();
+      now += COOLDOWN_MS;
+      expectSame(problems, 'status after the cool-down', breaker.status().state, 'half-open');
+
+      let finishTrial;
+      const trial = breaker.call(() => new Promise(resolve => { finishTrial = resolve; }));
+      expectSame(problems, 'second call during the trial', await attempt(breaker, 'ok'), 'CIRCUIT_OPEN');
+      finishTrial('fresh');
+      expectSame(problems, 'trial result', await trial, 'fresh');
+      expectSame(problems, 'status after the trial', breaker.status(), { name: 'upstream', state: 'closed', failures: 0 });
+      expectSame(problems, 'next call', await attempt(breaker, 'ok'), 'ok');
+      return problems;
+    },
+  },
+  {
+    name: 'half-open: a failed trial re-opens it for another cool-down',
+    async run() {
+      const problems = [];
+      const breaker = await openBreaker();
+      now += COOLDOWN_MS;
+      expectSame(problems, 'trial', await attempt(breaker, TIMEOUT), 'ETIMEDOUT');
+      expectSame(problems, 'status after the trial', breaker.status().state, 'open');
+      expectSame(problems, 'next call', await attempt(breaker, 'ok'), 'CIRCUIT_OPEN');
+      now += COOLDOWN_MS;
+      expectSame(problems, 'after the second cool-down', await attempt(breaker, 'ok'), 'ok');
+      return problems;
+    },
+  },
+];
+
+runChecks(CHECKS);
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+// Checks the feeds' conditional requests. The server is started in replay mode with a
+// temporary DATA_DIR whose local archive holds two days; each step below requests a
+// feed (optionally with the ETag / Last-Modified of an earlier answer) and compares the
+// status. Half-way through an older day is appended to the archive, which has to
+// change both validators even though the newest date stays the same.
+// Prints OK/MISMATCH per step and exits non-zero on any mismatch.
+//
+// Usage: node scripts/check-feeds.js   (FEEDS_CHECK_PORT picks the port, default 8791)
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { startServer, stopServer } = require('./server-process');
+const { expectSame, runChecks } = require('./check-runner');
+
+const PORT = process.env.FEEDS_CHECK_PORT || '8791';
+const FORMATS = ['/feed.xml', '/feed.rss', '/feed.json'];
+
+const entry = (date, title) => ({
+  date,
+  title,
+  explanation: `Explanation for ${title}.`,
+  media_type: 'image',
+  url: `https://apod.nasa.gov/apod/image/${date.slice(2, 4)}${date.slice(5, 7)}/${date}.jpg`,
+  service_version: 'v1',
+  source: 'apod-api',
+});
+
+// Archive file mtimes: the archived entries' "stored at" time
+const FIRST_WRITE = new Date('2025-03-01T10:00:00Z');
+const SECOND_WRITE = new Date('2025-03-02T10:00:00Z');
+
+let dataDir;
+let archiveFile;
+// Answers from the first requests, per format
+const first = {};
+
+// Plain http.get rather than fetch: fetch adds `Cache-Control: no-cache` to requests
+// with validators, and Express never answers those with a 304
+function get(feed, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(`http://localhost:${PORT}${feed}`, { headers }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+function appendToArchive(entries, mtime) {
+  fs.appendFileSync(archiveFile, entries.map(e => `${JSON.stringify(e)}\n`).join(''));
+  fs.utimesSync(archiveFile, mtime, mtime);
+}
+
+const CHECKS = [
+  {
+    name: 'each feed has a strong ETag and Last-Modified from when the entries were stored',
+    async run() {
+      const problems = [];
+      for (const feed of FORMATS) {
+        const answer = await get(feed);
+        expectSame(problems, `${feed} status`, answer.status, 200);
+        if (!/^"[0-9a-f]{40}"$/.test(answer.headers.etag || '')) problems.push(`${feed} ETag is not a strong sha1 tag: ${answer.headers.etag}`);
+        expectSame(problems, `${feed} Last-Modified`, answer.headers['last-modified'], FIRST_WRITE.toUTCString());
+        first[feed] = answer;
+      }
+      const items = JSON.parse(first['/feed.json'].body).items.map(item => item.url.slice(-10));
+      expectSame(problems, 'items, newest first', items, ['2025-02-28', '2025-02-27']);
+      return problems;
+    },
+  },
+  {
+    name: 'unchanged feeds answer 304 to If-None-Match and If-Modified-Since',
+    async run() {
+      const problems = [];
+      for (const feed of FORMATS) {
+        expectSame(problems, `${feed} If-None-Match`, (await get(feed, { 'If-None-Match': first[feed].headers.etag })).status, 304);
+        expectSame(problems, `${feed} If-Modified-Since`, (await get(feed, { 'If-Modified-Since': first[feed].headers['last-modified'] })).status, 304);
+      }
+      return problems;
+    },
+  },
+  {
+    name: 'a different ?limit is a different body with its own ETag',
+    async run() {
+      const problems = [];
+      const answer = await get('/feed.json?limit=1', { 'If-None-Match': first['/feed.json'].headers.etag });
+      expectSame(problems, 'status', answer.status, 200);
+      expectSame(problems, 'items', JSON.parse(answer.body).items.length, 1);
+      return problems;
+    },
+  },
+  {
+    name: 'storing an older day changes both validators',
+    async run() {
+      const problems = [];
+      appendToArchive([entry('2025-02-26', 'An Older Day')], SECOND_WRITE);
+      for (const feed of FORMATS) {
+        const byTag = await get(feed, { 'If-None-Match': first[feed].headers.etag });
+        expectSame(problems, `${feed} old ETag`, byTag.status, 200);
+        if (byTag.headers.etag === first[feed].headers.etag) problems.push(`${feed} ETag did not change`);
+        const byDate = await get(feed, { 'If-Modified-Since': first[feed].headers['last-modified'] });
+        expectSame(problems, `${feed} old Last-Modified`, byDate.status, 200);
+        expectSame(problems, `${feed} new Last-Modified`, byDate.headers['last-modified'], SECOND_WRITE.toUTCString());
+        expectSame(problems, `${feed} new validators`, (await get(feed, { 'If-None-Match': byTag.headers.etag })).status, 304);
+      }
+      return problems;
+    },
+  },
+  {
+    name: 'a bad ?limit is a JSON 400',
+    async run() {
+      const problems = [];
+      const answer = await get('/feed.xml?limit=0');
+      expectSame(problems, 'status', answer.status, 400);
+      expectSame(problems, 'content type', (answer.headers['content-type'] || '').split(';')[0], 'application/json');
+      return problems;
+    },
+  },
+];
+
+async function main() {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'apod-feeds-'));
+  archiveFile = path.join(dataDir, 'archive', 'apod.ndjson');
+  fs.mkdirSync(path.dirname(archiveFile), { recursive: true });
+  fs.writeFileSync(archiveFile, '');
+  appendToArchive([entry('2025-02-27', 'First Day'), entry('2025-02-28', 'Second Day')], FIRST_WRITE);
+
+  let server = null;
+  try {
+    server = await startServer(PORT, {
+      DATA_DIR: dataDir,
+      HTTP_MODE: 'replay',
+      HTTP_FIXTURES_DIR: path.join(dataDir, 'fixtures'), // no recordings: upstreams always fail
+    });
+    await runChecks(CHECKS);
+  } finally {
+    stopServer(server);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+// Checks lib/ingest.js with a stand-in archive and resolver (no upstreams): option
+// parsing, skipping archived dates, leaving images-api fallbacks out unless
+// --allow-fallback, resuming from the checkpoint, and retrying only the failed dates
+// when a finished run is started again.
+//
+// Usage: node scripts/check-ingest.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, runIngest } = require('../lib/ingest');
+const { expectSame, runChecks } = require('./check-runner');
+
+const DATES = ['2025-01-01', '2025-01-02', '2025-01-03', '2025-01-04'];
+
+let tmpDir;
+
+// Archive with the same has/append/file surface as lib/apod-archive.js
+function fakeArchive(name, dates = []) {
+  const byDate = new Map(dates.map(date => [date, { date }]));
+  return {
+    file: path.join(tmpDir, name, 'apod.ndjson'),
+    has: date => byDate.has(date),
+    append: entry => byDate.set(entry.date, entry),
+    dates: () => Array.from(byDate.keys()).sort(),
+  };
+}
+
+// resolve() stand-in: `outcomes` maps a date to 'ok', 'fallback' or 'fail'
+// (default 'ok') and every looked-up date is remembered
+function fakeResolver(outcomes = {}) {
+  const asked = [];
+  async function resolve(date) {
+    asked.push(date);
+    const outcome = outcomes[date] || 'ok';
+    if (outcome === 'fail') return { entry: null, attempts: [{ provider: 'apod-api', outcome: 'timeout' }] };
+    return { entry: { date, source: outcome === 'fallback' ? 'images-api-fallback' : 'apod-api' }, attempts: [] };
+  }
+  return { resolve, asked };
+}
+
+const ingest = (options) => runIngest({ dates: DATES, delay: 0, restart: false, allowFallback: false, log: () => {}, ...options });
+
+const CHECKS = [
+  {
+    name: 'parseArgs reads the options and rejects unknown ones',
+    run() {
+      const problems = [];
+      expectSame(problems, 'options', parseArgs(['--from', '2025-01-01', '--to', '2025-01-04', '--delay', '0', '--restart', '--allow-fallback']),
+        { delay: 0, restart: true, allowFallback: true, from: '2025-01-01', to: '2025-01-04' });
+      expectSame(problems, 'defaults', parseArgs([]), { delay: 1000, restart: false, allowFallback: false });
+      ['--delay -5', '--delay soon', '--verbose'].forEach(args => {
+        try {
+          parseArgs(args.split(' '));
+          problems.push(`${args} was accepted`);
+        } catch (err) {
+          // expected
+        }
+      });
+      return problems;
+    },
+  },
+  {
+    name: 'archives resolved days, skips archived ones and leaves fallbacks out',
+    async run() {
+      const problems = [];
+      const archive = fakeArchive('skip', ['2025-01-02']);
+      const resolver = fakeResolver({ '2025-01-03': 'fallback', '2025-01-04': 'fail' });
+      const checkpoint = await ingest({ archive, resolve: resolver.resolve });
+      expectSame(problems, 'looked up', resolver.asked, ['2025-01-01', '2025-01-03', '2025-01-04']);
+      expectSame(problems, 'archive', archive.dates(), ['2025-01-01', '2025-01-02']);
+      expectSame(problems, 'done', checkpoint.done, 2);
+      expectSame(problems, 'failed', checkpoint.failed, ['2025-01-03', '2025-01-04']);
+      expectSame(problems, 'next', checkpoint.next, null);
+      return problems;
+    },
+  },
+  {
+    name: '--allow-fallback archives images-api fallbacks too',
+    async run() {
+      const problems = [];
+      const archive = fakeArchive('fallback');
+      const resolver = fakeResolver({ '2025-01-03': 'fallback' });
+      const checkpoint = await ingest({ archive, resolve: resolver.resolve, allowFallback: true });
+      expectSame(problems, 'archive', archive.dates(), DATES);
+      expectSame(problems, 'failed', checkpoint.failed, []);
+      return problems;
+    },
+  },
+  {
+    name: 'an interrupted run resumes at the checkpoint',
+    async run() {
+      const problems = [];
+      const archive = fakeArchive('resume');
+      fs.mkdirSync(path.dirname(archive.file), { recursive: true });
+      fs.writeFileSync(`${archive.file}.checkpoint.json`, JSON.stringify({ from: DATES[0], to: DATES[3], next: '2025-01-03', done: 2, failed: [] }));
+      const resolver = fakeResolver();
+      const checkpoint = await ingest({ archive, resolve: resolver.resolve });
+      expectSame(problems, 'looked up', resolver.asked, ['2025-01-03', '2025-01-04']);
+      expectSame(problems, 'done', checkpoint.done, 4);
+
+      // --restart ignores the checkpoint (archived dates are still skipped)
+      const again = fakeResolver();
+      fs.writeFileSync(`${archive.file}.checkpoint.json`, JSON.stringify({ from: DATES[0], to: DATES[3], next: '2025-01-04', done: 3, failed: [] }));
+      await ingest({ archive, resolve: again.resolve, restart: true });
+      expectSame(problems, 'looked up with --restart', again.asked, ['2025-01-01', '2025-01-02']);
+      return problems;
+    },
+  },
+  {
+    name: 'running a finished range again only retries the failed days',
+    async run() {
+      const problems = [];
+      const archive = fakeArchive('retry');
+      await ingest({ archive, resolve: fakeResolver({ '2025-01-02': 'fail' }).resolve });
+      const retry = fakeResolver();
+      const checkpoint = await ingest({ archive, resolve: retry.resolve });
+      expectSame(problems, 'looked up', retry.asked, ['2025-01-02']);
+      expectSame(problems, 'archive', archive.dates(), DATES);
+      expectSame(problems, 'failed', checkpoint.failed, []);
+      return problems;
+    },
+  },
+  {
+    name: 'a checkpoint for another range is ignored',
+    async run() {
+      const problems = [];
+      const archive = fakeArchive('range');
+      fs.mkdirSync(path.dirname(archive.file), { recursive: true });
+      fs.writeFileSync(`${archive.file}.checkpoint.json`, JSON.stringify({ from: '2024-12-01', to: '2024-12-31', next: '2024-12-20', done: 19, failed: [] }));
+      const resolver = fakeResolver();
+      const checkpoint = await ingest({ archive, resolve: resolver.resolve });
+      expectSame(problems, 'looked up', resolver.asked, DATES);
+      expectSame(problems, 'range', [checkpoint.from, checkpoint.to, checkpoint.done], [DATES[0], DATES[3], 4]);
+      return problems;
+    },
+  },
+];
+
+async function main() {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'apod-ingest-'));
+  try {
+    await runChecks(CHECKS);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
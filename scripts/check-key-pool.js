@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+// Checks lib/key-pool.js: staying on a healthy key, rotating away from a key that
+// runs low, parking after a 429 or an empty window, and health() never showing the
+// key values. Date.now is replaced by a clock the checks move forward themselves,
+// so parking windows pass without waiting.
+//
+// Usage: node scripts/check-key-pool.js
+
+const { createKeyPool, keysFromEnv } = require('../lib/key-pool');
+const { expectSame, runChecks } = require('./check-runner');
+
+let now = Date.parse('2025-01-01T00:00:00Z');
+Date.now = () => now;
+
+// Response headers as api.nasa.gov sends them
+const rateHeaders = (remaining, extra = {}) => ({ 'x-ratelimit-limit': '1000', 'x-ratelimit-remaining': String(remaining), ...extra });
+
+const CHECKS = [
+  {
+    name: 'keeps using the current key while it has requests left',
+    run() {
+      const problems = [];
+      const pool = createKeyPool(['first', 'second']);
+      const key = pool.acquire();
+      expectSame(problems, 'first pick', key, { id: 'key-1', key: 'first' });
+      pool.report(key.id, { status: 200, headers: rateHeaders(900) });
+      expectSame(problems, 'second pick', pool.acquire().id, 'key-1');
+      return problems;
+    },
+  },
+  {
+    name: 'rotates to the next key once the current one is at the low watermark',
+    run() {
+      const problems = [];
+      const pool = createKeyPool(['first', 'second'], { lowWatermark: 5 });
+      pool.report('key-1', { status: 200, headers: rateHeaders(5) });
+      expectSame(problems, 'pick', pool.acquire().id, 'key-2');
+      expectSame(problems, 'key-1 state', pool.health()[0].state, 'low');
+      return problems;
+    },
+  },
+  {
+    name: 'uses the low key with the most requests left when every key is low',
+    run() {
+      const problems = [];
+      const pool = createKeyPool(['first', 'second', 'third'], { lowWatermark: 5 });
+      pool.report('key-1', { status: 200, headers: rateHeaders(2) });
+      pool.report('key-2', { status: 200, headers: rateHeaders(4) });
+      pool.report('key-3', { status: 200, headers: rateHeaders(1) });
+      expectSame(problems, 'pick', pool.acquire().id, 'key-2');
+      return problems;
+    },
+  },
+  {
+    name: 'skips excluded keys (a retry after a 429 tries another key)',
+    run() {
+      const problems = [];
+      const pool = createKeyPool(['first', 'second']);
+      expectSame(problems, 'pick', pool.acquire(['key-1']).id, 'key-2');
+      expectSame(problems, 'nothing left', pool.acquire(['key-1', 'key-2']), null);
+      return problems;
+    },
+  },
+  {
+    name: 'parks a key after a 429 for Retry-After seconds, then tries it again',
+    run() {
+      const problems = [];
+      const pool = createKeyPool(['first', 'second']);
+      pool.report('key-1', { status: 429, headers: { 'retry-after': '120' } });
+      const health = pool.health()[0];
+      expectSame(problems, 'state', health.state, 'parked');
+      expectSame(problems, 'parked until', health.parked_until, new Date(now + 120 * 1000).toISOString());
+      expectSame(problems, 'rate limited', health.rate_limited, 1);
+      expectSame(problems, 'pick while parked', pool.acquire().id, 'key-2');
+
+      now += 120 * 1000;
+      expectSame(problems, 'pick after the window', pool.acquire(['key-2']).id, 'key-1');
+      expectSame(problems, 'state after the window', pool.health()[0].state, 'ok');
+      return problems;
+    },
+  },
+  {
+    name: 'parks a key that hits zero remaining for parkMs, and null once every key is parked',
+    run() {
+      const problems = [];
+      const pool = createKeyPool(['first', 'second'], { parkMs: 60 * 1000 });
+      pool.report('key-1', { status: 200, headers: rateHeaders(0) });
+      pool.report('key-2', { status: 429 });
+      expectSame(problems, 'pick', pool.acquire(), null);
+      expectSame(problems, 'states', pool.health().map(h => h.state), ['parked', 'parked']);
+
+      now += 60 * 1000;
+      expectSame(problems, 'pick after parkMs', pool.acquire().id, 'key-1');
+      return problems;
+    },
+  },
+  {
+    name: 'health() labels keys and never includes the key values',
+    run() {
+      const problems = [];
+      const pool = createKeyPool(['secret-value-1', 'DEMO_KEY']);
+      pool.report('key-1', { status: 200, headers: rateHeaders(10) });
+      const text = JSON.stringify(pool.health());
+      if (text.includes('secret-value-1')) problems.push('health() includes a key value');
+      expectSame(problems, 'ids', pool.health().map(h => h.id), ['key-1', 'key-2']);
+      expectSame(problems, 'demo flags', pool.health().map(h => h.demo_key), [false, true]);
+      return problems;
+    },
+  },
+  {
+    name: 'keysFromEnv merges NASA_API_KEYS and NASA_API_KEY without duplicates',
+    run() {
+      const problems = [];
+      expectSame(problems, 'both set', keysFromEnv({ NASA_API_KEYS: ' a, b ,,a', NASA_API_KEY: 'b' }), ['a', 'b']);
+      expectSame(problems, 'none set', keysFromEnv({}), ['DEMO_KEY']);
+      return problems;
+    },
+  },
+];
+
+runChecks(CHECKS);
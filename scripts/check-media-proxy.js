@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+// Checks lib/media-proxy.js: which URLs the default allowlist accepts, and how
+// handle() answers for a small local upstream (allowed only through
+// sourcesForHosts(['localhost'])): 400 for other URLs, 415 for non-media responses,
+// media passed on with the safety headers and cached, and redirects that leave the
+// allowed sources refused. Nothing leaves the machine.
+//
+// Usage: node scripts/check-media-proxy.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const { createMediaProxy, parseMediaUrl, sourcesForHosts, DEFAULT_MEDIA_SOURCES } = require('../lib/media-proxy');
+const { expectSame, runChecks } = require('./check-runner');
+
+const PICTURE = Buffer.from('not really a png, but labelled as one');
+
+// URL -> should the default sources allow it?
+const ALLOWLIST = {
+  'https://apod.nasa.gov/apod/image/2401/galaxy.jpg': true,
+  'https://images-assets.nasa.gov/video/abc/abc~orig.mp4': true,
+  'https://web.archive.org/web/20200101000000im_/https://apod.nasa.gov/apod/image/2001/moon.jpg': true,
+  'https://apod.nasa.gov/apod/ap240101.html': false,
+  'https://images-assets.nasa.gov/other/abc.json': false,
+  'https://web.archive.org/web/2020/https://example.com/apod/image/x.jpg': false,
+  'https://archive.org/download/some-item/picture.jpg': false,
+  'https://apod.nasa.gov@example.com/apod/image/x.jpg': false,
+  'ftp://apod.nasa.gov/apod/image/x.jpg': false,
+  'javascript:alert(1)': false,
+  'not a url': false,
+};
+
+// Local upstream: counts requests per path
+function startUpstream() {
+  const hits = {};
+  const server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    if (req.url === '/picture.png') {
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': PICTURE.length, ETag: '"picture-1"' });
+      return res.end(PICTURE);
+    }
+    if (req.url === '/page.html') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end('<script>alert(document.cookie)</script>');
+    }
+    if (req.url === '/elsewhere') {
+      // 127.0.0.1 is the same machine, but not an allowed host name
+      res.writeHead(302, { Location: `http://127.0.0.1:${server.address().port}/picture.png` });
+      return res.end();
+    }
+    res.writeHead(404);
+    return res.end();
+  });
+  return new Promise(resolve => server.listen(0, () => resolve({ server, hits })));
+}
+
+// The proxy mounted on /media of a throwaway express app
+function startProxy(dir) {
+  const proxy = createMediaProxy({ dir, allowedSources: sourcesForHosts(['localhost']), timeout: 5000 });
+  const app = express();
+  app.get('/media', (req, res, next) => proxy.handle(req, res).catch(next));
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+let upstream;
+let proxyServer;
+let dir;
+
+async function get(url) {
+  const res = await fetch(`http://localhost:${proxyServer.address().port}/media?url=${encodeURIComponent(url)}`);
+  return { res, body: Buffer.from(await res.arrayBuffer()) };
+}
+
+const upstreamUrl = file => `http://localhost:${upstream.server.address().port}${file}`;
+const cachedFiles = () => fs.readdirSync(dir).filter(name => name.endsWith('.bin'));
+
+function expectSafetyHeaders(problems, res) {
+  expectSame(problems, 'X-Content-Type-Options', res.headers.get('x-content-type-options'), 'nosniff');
+  expectSame(problems, 'Content-Security-Policy', res.headers.get('content-security-policy'), 'sandbox');
+}
+
+const CHECKS = [
+  {
+    name: 'default sources only allow the NASA and Wayback asset paths',
+    run() {
+      const problems = [];
+      Object.keys(ALLOWLIST).forEach(url => {
+        expectSame(problems, url, Boolean(parseMediaUrl(url, DEFAULT_MEDIA_SOURCES)), ALLOWLIST[url]);
+      });
+      return problems;
+    },
+  },
+  {
+    name: 'a URL outside the allowed sources is a 400',
+    async run() {
+      const problems = [];
+      const { res } = await get('https://example.com/picture.png');
+      expectSame(problems, 'status', res.status, 400);
+      expectSame(problems, 'upstream requests', Object.keys(upstream.hits).length, 0);
+      return problems;
+    },
+  },
+  {
+    name: 'a non-media upstream answer is a 415 with the safety headers and is not cached',
+    async run() {
+      const problems = [];
+      const { res, body } = await get(upstreamUrl('/page.html'));
+      expectSame(problems, 'status', res.status, 415);
+      expectSafetyHeaders(problems, res);
+      if (body.toString().includes('<script>')) problems.push('upstream page was passed on');
+      expectSame(problems, 'cached files', cachedFiles().length, 0);
+      return problems;
+    },
+  },
+  {
+    name: 'media is passed on with the safety headers and served from the cache next time',
+    async run() {
+      const problems = [];
+      const first = await get(upstreamUrl('/picture.png'));
+      expectSame(problems, 'status', first.res.status, 200);
+      expectSame(problems, 'content type', first.res.headers.get('content-type'), 'image/png');
+      expectSafetyHeaders(problems, first.res);
+      expectSame(problems, 'body', first.body.toString(), PICTURE.toString());
+
+      // The copy is written to disk while the browser gets its answer
+      for (let i = 0; i < 50 && !cachedFiles().length; i++) await new Promise(resolve => setTimeout(resolve, 20));
+      const second = await get(upstreamUrl('/picture.png'));
+      expectSame(problems, 'second status', second.res.status, 200);
+      expectSafetyHeaders(problems, second.res);
+      expectSame(problems, 'second body', second.body.toString(), PICTURE.toString());
+      expectSame(problems, 'upstream requests', upstream.hits['/picture.png'], 1);
+      return problems;
+    },
+  },
+  {
+    name: 'a redirect to a host that is not allowed is refused',
+    async run() {
+      const problems = [];
+      const { res } = await get(upstreamUrl('/elsewhere'));
+      expectSame(problems, 'status', res.status, 502);
+      return problems;
+    },
+  },
+];
+
+async function main() {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apod-media-'));
+  upstream = await startUpstream();
+  proxyServer = await startProxy(dir);
+  try {
+    await runChecks(CHECKS);
+  } finally {
+    [upstream.server, proxyServer].forEach(server => {
+      server.close();
+      server.closeAllConnections();
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+// Runs the APOD fallback chain offline against the recorded upstream answers in
+// fixtures/http (see "Offline mode" in the README). The server is started with
+// HTTP_MODE=replay and an empty temporary DATA_DIR, each case below is requested in
+// order, and the `source` and provider attempts of the answer are compared with what
+// the recordings should produce. Prints OK/MISMATCH per case and exits non-zero on
+// any mismatch.
+//
+// Usage: node scripts/check-replay.js   (REPLAY_CHECK_PORT picks the port, default 8789)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ROOT, startServer, stopServer } = require('./server-process');
+
+const PORT = process.env.REPLAY_CHECK_PORT || '8789';
+
+// `attempts` lists "provider:outcome" for every provider tried, in order
+const CASES = [
+  {
+    name: 'date range from one APOD API call',
+    path: '/apod-range?start_date=2024-07-01&end_date=2024-07-03',
+    status: 200,
+    days: [
+      { source: 'apod-api', attempts: ['cache:hit'] },
+      { source: 'apod-api', attempts: ['cache:hit'] },
+      { source: 'apod-api', attempts: ['cache:hit'] },
+    ],
+  },
+  {
+    name: 'APOD API answer',
+    path: '/apod-proxy?date=2024-06-30',
+    status: 200,
+    source: 'apod-api',
+    attempts: ['archive:miss', 'api:hit'],
+  },
+  {
+    name: 'second request comes from the cache',
+    path: '/apod-proxy?date=2024-06-30',
+    status: 200,
+    source: 'apod-api',
+    attempts: ['cache:hit'],
+  },
+  {
+    name: 'page gone, Wayback copy scraped',
+    path: '/apod-proxy?date=2005-07-04',
+    status: 200,
+    source: 'apod-wayback',
+    attempts: ['archive:miss', 'api:miss', 'scrape:miss', 'wayback:hit'],
+  },
+  {
+    name: 'no media anywhere, Images API match for the page title',
+    path: '/apod-proxy?date=2019-03-05',
+    status: 200,
+    source: 'images-api-fallback',
+    attempts: ['archive:miss', 'api:miss', 'scrape:miss', 'wayback:miss', 'images:hit'],
+  },
+  {
+    name: 'not found by any provider',
+    path: '/apod-proxy?date=1995-06-18',
+    status: 404,
+    attempts: ['archive:miss', 'api:miss', 'scrape:miss', 'wayback:miss', 'images:miss'],
+  },
+  {
+    name: 'repeat miss answered by the negative cache',
+    path: '/apod-proxy?date=1995-06-18',
+    status: 404,
+    attempts: ['cache:negative'],
+  },
+  {
+    // No recordings at all for this day: replay fails like a network error
+    name: 'upstreams unreachable',
+    path: '/apod-proxy?date=2010-01-01',
+    status: 502,
+    attempts: ['archive:miss', 'api:error', 'scrape:error', 'wayback:error', 'images:miss'],
+  },
+  {
+    name: 'unreachable is not remembered as a miss',
+    path: '/apod-proxy?date=2010-01-01',
+    status: 502,
+    attempts: ['archive:miss', 'api:error', 'scrape:error', 'wayback:error', 'images:miss'],
+  },
+  {
+    // Last: the 429 parks the only API key for the rest of the run
+    name: 'API rate limited, page scraped',
+    path: '/apod-proxy?date=2025-10-01',
+    status: 200,
+    source: 'apod-scrape',
+    attempts: ['archive:miss', 'api:error', 'scrape:hit'],
+  },
+];
+
+// Attempts of an answer: /apod-proxy entries carry them in X-Apod-Attempts
+// ("archive=miss;ms=1, api=hit;ms=40"), errors and /apod-range days in the body
+function describeAttempts(body, header) {
+  if (header) return header.split(', ').map(item => item.split(';')[0].replace('=', ':'));
+  return (body.attempts || []).map(a => `${a.provider}:${a.outcome}`);
+}
+
+// List of problems with one answer (empty when it matches)
+function compare(testCase, status, body, attemptsHeader) {
+  const problems = [];
+  if (status !== testCase.status) problems.push(`status: expected ${testCase.status}, got ${status}`);
+  const checks = testCase.days
+    ? testCase.days.map((day, i) => ({ label: `day ${i + 1} `, want: day, got: (Array.isArray(body) && body[i]) || {} }))
+    : [{ label: '', want: testCase, got: body, header: attemptsHeader }];
+  checks.forEach(({ label, want, got, header }) => {
+    if (want.source !== undefined && got.source !== want.source) {
+      problems.push(`${label}source: expected ${want.source}, got ${got.source}`);
+    }
+    const attempts = describeAttempts(got, header);
+    if (JSON.stringify(attempts) !== JSON.stringify(want.attempts)) {
+      problems.push(`${label}attempts: expected ${want.attempts.join(' ')}, got ${attempts.join(' ')}`);
+    }
+  });
+  return problems;
+}
+
+async function main() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'apod-replay-'));
+  let server = null;
+  let failures = 0;
+  try {
+    server = await startServer(PORT, {
+      DATA_DIR: dataDir,
+      HTTP_MODE: 'replay',
+      HTTP_FIXTURES_DIR: path.join(ROOT, 'fixtures', 'http'),
+      NASA_API_KEYS: 'replay-key', // keys are stripped from recordings, any value works
+    });
+    for (const testCase of CASES) {
+      const res = await fetch(`http://localhost:${PORT}${testCase.path}`);
+      const body = await res.json();
+      const problems = compare(testCase, res.status, body, res.headers.get('x-apod-attempts'));
+      if (problems.length) {
+        failures += 1;
+        console.log(`${testCase.name}: MISMATCH`);
+        problems.forEach(problem => console.log(`  ${problem}`));
+      } else {
+        console.log(`${testCase.name}: OK`);
+      }
+    }
+  } finally {
+    stopServer(server);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+  console.log(failures ? `${failures} of ${CASES.length} cases failed` : `All ${CASES.length} cases replayed as expected`);
+  process.exit(failures ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+// Checks proxy routes that don't need any upstream: the server is started with an
+// empty temporary DATA_DIR and HTTP_MODE=replay (so nothing leaves the machine), each
+// case below is requested in order, and the status, content type and body are
+// compared with what the route should answer. Prints OK/MISMATCH per case and exits
+// non-zero on any mismatch.
+//
+// Usage: node scripts/check-routes.js   (ROUTES_CHECK_PORT picks the port, default 8790)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, stopServer } = require('./server-process');
+
+const PORT = process.env.ROUTES_CHECK_PORT || '8790';
+const ADMIN_TOKEN = 'check-token';
+const ADMIN_HEADERS = { Authorization: `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json' };
+
+// `json` lists fields the JSON body must have; `contains` is text the body must include
+const CASES = [
+  {
+    name: 'admin: bad JSON body is a JSON 400',
+    method: 'POST',
+    path: '/admin/cache/warm',
+    headers: ADMIN_HEADERS,
+    body: '{"start_date": ',
+    status: 400,
+    type: 'application/json',
+    json: { error: 'Request body is not valid JSON.' },
+  },
+  {
+    name: 'admin: valid body without dates is a JSON 400',
+    method: 'POST',
+    path: '/admin/cache/warm',
+    headers: ADMIN_HEADERS,
+    body: '{}',
+    status: 400,
+    type: 'application/json',
+  },
+  {
+    name: 'images asset: id with a slash is a 400',
+    path: '/images-asset/a%2Fb',
+    status: 400,
+    type: 'application/json',
+  },
+  {
+    name: 'images asset: upstream failure is a JSON 502',
+    path: '/images-asset/PIA12345',
+    status: 502,
+    type: 'application/json',
+    json: { error: 'Images API asset lookup failed. Please try again later.' },
+  },
+  {
+    name: 'admin: bad body is counted under the /admin route',
+    path: '/metrics',
+    status: 200,
+    contains: 'http_requests_total{route="/admin",method="POST",status="400"}',
+  },
+];
+
+// List of problems with one answer (empty when it matches)
+function compare(testCase, res, text) {
+  const problems = [];
+  if (res.status !== testCase.status) problems.push(`status: expected ${testCase.status}, got ${res.status}`);
+  const type = res.headers.get('content-type') || '';
+  if (testCase.type && !type.startsWith(testCase.type)) problems.push(`content type: expected ${testCase.type}, got ${type}`);
+  if (testCase.json) {
+    let body = null;
+    try {
+      body = JSON.parse(text);
+    } catch (err) {
+      problems.push(`body is not JSON: ${text.slice(0, 80)}`);
+    }
+    Object.keys(testCase.json).forEach(field => {
+      if (body && JSON.stringify(body[field]) !== JSON.stringify(testCase.json[field])) {
+        problems.push(`${field}: expected ${JSON.stringify(testCase.json[field])}, got ${JSON.stringify(body[field])}`);
+      }
+    });
+  }
+  if (testCase.contains && !text.includes(testCase.contains)) problems.push(`body does not include ${testCase.contains}`);
+  return problems;
+}
+
+async function main() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'apod-routes-'));
+  let server = null;
+  let failures = 0;
+  try {
+    server = await startServer(PORT, {
+      DATA_DIR: dataDir,
+      HTTP_MODE: 'replay',
+      HTTP_FIXTURES_DIR: path.join(dataDir, 'fixtures'), // no recordings: upstreams always fail
+      ADMIN_TOKEN,
+    });
+    for (const testCase of CASES) {
+      const res = await fetch(`http://localhost:${PORT}${testCase.path}`, {
+        method: testCase.method || 'GET',
+        headers: testCase.headers,
+        body: testCase.body,
+      });
+      const problems = compare(testCase, res, await res.text());
+      if (problems.length) {
+        failures += 1;
+        console.log(`${testCase.name}: MISMATCH`);
+        problems.forEach(problem => console.log(`  ${problem}`));
+      } else {
+        console.log(`${testCase.name}: OK`);
+      }
+    }
+  } finally {
+    stopServer(server);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+  console.log(failures ? `${failures} of ${CASES.length} cases failed` : `All ${CASES.length} cases answered as expected`);
+  process.exit(failures ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
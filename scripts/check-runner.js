@@ -0,0 +1,35 @@
+// Shared runner for the scripts/check-*.js scripts that test one lib/ module.
+// Each check is { name, run } where run() (sync or async) returns a list of
+// problems; an empty list means OK. Prints OK/MISMATCH per check, then a summary,
+// and sets a non-zero exit code on any mismatch (so callers can still clean up).
+
+// Add a problem to `problems` when `actual` and `expected` differ (compared as JSON)
+function expectSame(problems, label, actual, expected) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    problems.push(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+async function runChecks(checks) {
+  let failures = 0;
+  for (const check of checks) {
+    let problems;
+    try {
+      problems = await check.run();
+    } catch (err) {
+      problems = [`threw ${err.stack || err.message}`];
+    }
+    if (problems.length) {
+      failures += 1;
+      console.log(`${check.name}: MISMATCH`);
+      problems.forEach(problem => console.log(`  ${problem}`));
+    } else {
+      console.log(`${check.name}: OK`);
+    }
+  }
+  console.log(failures ? `${failures} of ${checks.length} checks failed` : `All ${checks.length} checks passed`);
+  process.exitCode = failures ? 1 : 0;
+  return failures;
+}
+
+module.exports = { expectSame, runChecks };
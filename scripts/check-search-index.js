@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+// Checks lib/search-index.js on a handful of made-up entries: BM25 ranking (title
+// matches beat explanation matches, every word is required), quoted phrases,
+// date ranges, replacing and removing entries, and HTML escaping in highlights.
+//
+// Usage: node scripts/check-search-index.js
+
+const { createSearchIndex, parseQuery } = require('../lib/search-index');
+const { expectSame, runChecks } = require('./check-runner');
+
+const ENTRIES = [
+  {
+    date: '2024-01-01',
+    title: 'Andromeda Galaxy',
+    explanation: 'The nearest large spiral galaxy to the Milky Way.',
+    copyright: 'Jane Doe',
+  },
+  {
+    date: '2024-01-02',
+    title: 'Star Trails over a Lake',
+    explanation: 'Stars circle the pole above a quiet lake; the Andromeda galaxy is a small smudge near the top.',
+  },
+  {
+    date: '2024-01-03',
+    title: 'Spiral Galaxy & <Friends>',
+    explanation: 'A galaxy spiral shows "dust lanes" <script>alert(1)</script> and young stars.',
+  },
+  {
+    date: '2024-01-04',
+    title: 'Crescent Moon',
+    explanation: 'A thin crescent moon sets after sunset. Spiral arms of a distant galaxy hide behind the glow.',
+  },
+];
+
+function buildIndex() {
+  const index = createSearchIndex();
+  ENTRIES.forEach(entry => index.add(entry));
+  return index;
+}
+
+const dates = result => result.results.map(item => item.date);
+
+const CHECKS = [
+  {
+    name: 'ranks title matches above explanation-only matches',
+    run() {
+      const problems = [];
+      const result = buildIndex().search('andromeda');
+      expectSame(problems, 'dates', dates(result), ['2024-01-01', '2024-01-02']);
+      if (result.results.length === 2 && !(result.results[0].score > result.results[1].score)) {
+        problems.push(`scores not in order: ${result.results.map(item => item.score).join(', ')}`);
+      }
+      return problems;
+    },
+  },
+  {
+    name: 'every query word is required, in any field',
+    run() {
+      const problems = [];
+      const index = buildIndex();
+      expectSame(problems, 'andromeda lake', dates(index.search('andromeda lake')), ['2024-01-02']);
+      expectSame(problems, 'andromeda doe', dates(index.search('Andromeda DOE')), ['2024-01-01']);
+      expectSame(problems, 'unknown word', index.search('galaxy nebula'), { total: 0, results: [] });
+      return problems;
+    },
+  },
+  {
+    name: 'quoted phrases only match consecutive words',
+    run() {
+      const problems = [];
+      const index = buildIndex();
+      expectSame(problems, 'parsed', parseQuery('"Spiral Galaxy" dust'), { terms: ['dust'], phrases: [['spiral', 'galaxy']] });
+      expectSame(problems, 'phrase', dates(index.search('"spiral galaxy"')), ['2024-01-03', '2024-01-01']);
+      expectSame(problems, 'same words unquoted', index.search('spiral galaxy').total, 3);
+      expectSame(problems, 'phrase in the other order', dates(index.search('"galaxy spiral"')), ['2024-01-03']);
+      return problems;
+    },
+  },
+  {
+    name: 'start_date / end_date, limit and offset',
+    run() {
+      const problems = [];
+      const index = buildIndex();
+      expectSame(problems, 'range', dates(index.search('galaxy', { start_date: '2024-01-02', end_date: '2024-01-03' })).sort(), ['2024-01-02', '2024-01-03']);
+      const page = index.search('galaxy', { limit: 1, offset: 1 });
+      expectSame(problems, 'total', page.total, 4);
+      expectSame(problems, 'page size', page.results.length, 1);
+      return problems;
+    },
+  },
+  {
+    name: 'replacing and removing entries updates the results',
+    run() {
+      const problems = [];
+      const index = buildIndex();
+      index.add({ ...ENTRIES[3], title: 'Crescent Moon and Venus' });
+      expectSame(problems, 'replaced', dates(index.search('venus')), ['2024-01-04']);
+      expectSame(problems, 'old copy gone', index.size(), ENTRIES.length);
+      index.remove('2024-01-01');
+      expectSame(problems, 'removed', dates(index.search('andromeda')), ['2024-01-02']);
+      return problems;
+    },
+  },
+  {
+    name: 'highlights mark the query words and escape the rest of the text',
+    run() {
+      const problems = [];
+      const [item] = buildIndex().search('dust').results;
+      expectSame(problems, 'title', item.highlights.title, 'Spiral Galaxy &amp; &lt;Friends&gt;');
+      expectSame(problems, 'snippet', item.highlights.snippet,
+        'A galaxy spiral shows &quot;<mark>dust</mark> lanes&quot; &lt;script&gt;alert(1)&lt;/script&gt; and young stars.');
+      const [title] = buildIndex().search('"spiral galaxy" friends').results;
+      expectSame(problems, 'title match', title.highlights.title,
+        '<mark>Spiral</mark> <mark>Galaxy</mark> &amp; &lt;<mark>Friends</mark>&gt;');
+      return problems;
+    },
+  },
+];
+
+runChecks(CHECKS);
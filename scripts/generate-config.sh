@@ -1,5 +1,6 @@
 #!/usr/bin/env bash
-# Simple helper to create a local config.js from environment variables or interactive input.
+# Simple helper to create the server's .env file from environment variables or interactive input.
+# The keys are only read by server.js; they are never sent to the browser.
 # Usage:
 #   (1) Set env vars and run:
 #       NASA_API_KEY=your_nasa_key OMDB_API_KEY=your_omdb_key ./scripts/generate-config.sh
@@ -7,35 +8,37 @@
 
 set -euo pipefail
 
-CONFIG_FILE="config.js"
+# Next to server.js, where the server looks for it (not the current directory).
+# ENV_FILE picks another file, the same way it does for the server.
+REPO_ROOT="$(cd "$(dirname "$0")/.." && pwd)"
+ENV_FILE="${ENV_FILE:-$REPO_ROOT/.env}"
 
 # Read from env or prompt
-NASA_KEY=${NASA_KEY:-}
-OMDB_KEY=${OMDB_KEY:-}
+NASA_KEY=${NASA_API_KEYS:-${NASA_API_KEY:-}}
+OMDB_KEY=${OMDB_API_KEY:-}
 
 if [ -z "$NASA_KEY" ]; then
-  read -r -p "Enter NASA API key (or leave blank to use DEMO_KEY): " NASA_KEY
+  read -r -p "Enter NASA API key(s), comma-separated (or leave blank to use DEMO_KEY): " NASA_KEY
 fi
 
 if [ -z "$OMDB_KEY" ]; then
   read -r -p "Enter OMDb API key (optional): " OMDB_KEY
 fi
 
-# Default to DEMO_KEY if empty
-if [ -z "$NASA_KEY" ]; then
-  NASA_KEY="DEMO_KEY"
-fi
-
-cat > "$CONFIG_FILE" <<EOF
-// Local runtime config for NASA Space Explorer
-// Generated by scripts/generate-config.sh
-window.NASA_CONFIG = {
-  APOD_API_KEY: '${NASA_KEY}',
-  OMDB_API_KEY: '${OMDB_KEY}'
-};
-EOF
-
-printf "Wrote %s\n" "$CONFIG_FILE"
-printf "Note: %s is in .gitignore so it won't be committed. Keep your keys safe.\n" "$CONFIG_FILE"
+# Only the owner should be able to read the keys: new files are created as 600, and an
+# existing file is locked down before the new keys go into it
+umask 077
+touch "$ENV_FILE"
+chmod 600 "$ENV_FILE"
+
+cat > "$ENV_FILE" <<ENV
+# Server-side API keys for NASA Space Explorer
+# Generated by scripts/generate-config.sh
+NASA_API_KEYS=${NASA_KEY}
+OMDB_API_KEY=${OMDB_KEY}
+ENV
+
+printf "Wrote %s\n" "$ENV_FILE"
+printf "Note: %s is in .gitignore so it won't be committed. Restart the server to pick up new keys.\n" "$ENV_FILE"
 
 exit 0
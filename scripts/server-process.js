@@ -0,0 +1,50 @@
+// Starts server.js as a child process for the check scripts, with a clean
+// environment: only PATH, the port and the variables passed in are set, and a local
+// .env is never picked up. Resolves with the child once it is listening.
+//
+// Used by scripts/check-replay.js and scripts/check-routes.js.
+
+const { spawn } = require('child_process');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const STARTUP_TIMEOUT_MS = 10000;
+
+// `env` needs at least DATA_DIR (a temporary directory the caller removes afterwards)
+function startServer(port, env) {
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      ENV_FILE: path.join(env.DATA_DIR, 'no.env'), // don't pick up a local .env
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), STARTUP_TIMEOUT_MS);
+    const onData = chunk => {
+      output += chunk;
+      if (output.includes('listening on')) {
+        clearTimeout(timer);
+        resolve(child);
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with code ${code}:\n${output}`));
+    });
+  });
+}
+
+function stopServer(child) {
+  if (!child) return;
+  child.removeAllListeners('exit');
+  child.kill();
+}
+
+module.exports = { ROOT, startServer, stopServer };
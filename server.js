@@ -1,40 +1,140 @@
 #!/usr/bin/env node
 // Simple Express server that provides an /apod-proxy route.
-// Flow for a requested date (YYYY-MM-DD):
+// Default flow for a requested date (YYYY-MM-DD):
+// 0) Answer from the local archive built by `node server.js ingest`, if it has the date
 // 1) Try the official NASA APOD API
 // 2) If that fails, try scraping the apod.nasa.gov page for that date
 // 3) If still not found, ask the Wayback Machine for an archived copy and scrape that
-// 4) If still not found, try the Images API as a best-effort fallback (same year)
-// Responses are cached in-memory for a TTL to avoid rate limits.
+// 4) If still not found, try the Images API for the closest match to the title/keywords
+// Each step is a provider (see PROVIDER_DEFAULTS); order, enabled flag and timeout
+// come from env, and every response lists the providers tried in `attempts`.
+// /apod-range runs the same flow for every day in a date range (or N random days).
+// Concurrent lookups of the same date share one resolution, and each upstream has a
+// circuit breaker that skips it for a while after repeated timeouts or 429s.
+// Responses are cached on disk (see lib/cache-store.js) for a TTL to avoid rate limits.
+// API keys (NASA, OMDb) only live here on the server, never in the browser.
 
 const express = require('express');
 const axios = require('axios');
-const cheerio = require('cheerio');
 const cors = require('cors');
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { createCacheStore } = require('./lib/cache-store');
+const { parseApodPage } = require('./lib/apod-parser');
+const { createCircuitBreaker } = require('./lib/circuit-breaker');
+const { loadProviderConfig, parseSourcesParam, runProviderChain } = require('./lib/provider-chain');
+const { installHttpRecorder } = require('./lib/http-recorder');
+const { parseSearchParams, searchCacheKey, searchImages, parseNasaId, fetchAssets } = require('./lib/images-search');
+const { createKeyPool, keysFromEnv } = require('./lib/key-pool');
+const { createMediaProxy, sourcesForHosts, DEFAULT_MEDIA_SOURCES } = require('./lib/media-proxy');
+const { createApodArchive } = require('./lib/apod-archive');
+const { parseArgs: parseIngestArgs, runIngest } = require('./lib/ingest');
+const { createSearchIndex } = require('./lib/search-index');
+const { createLatestEntries } = require('./lib/latest-entries');
+const { buildAtom, buildRss, buildJsonFeed } = require('./lib/feeds');
+const { createRegistry } = require('./lib/metrics');
+const { DEFAULT_MIN_CONFIDENCE, hasHints, hintQueries, pickBestMatch } = require('./lib/images-match');
+const {
+  APOD_FIRST_DATE,
+  APOD_TIME_ZONE,
+  parseIsoDate,
+  apodToday,
+  validateApodDate,
+  listDates,
+  randomDates,
+} = require('./lib/apod-dates');
+const { parseLookupParams, lookupCacheKey, lookupMovie } = require('./lib/omdb');
+const {
+  STALE_IF_ERROR_MS,
+  NEGATIVE_TTL_MS,
+  cachePolicyFor,
+  entityTag,
+  cacheControlHeader,
+} = require('./lib/cache-policy');
+const { createJobRegistry } = require('./lib/admin-jobs');
+const { renderSharePage, renderMissingPage } = require('./lib/share-page');
+
+// Server-side secrets (NASA_API_KEYS, OMDB_API_KEY) can be kept in a `.env` file next to
+// server.js (see scripts/generate-config.sh). Variables already set in the environment win.
+const ENV_FILE = process.env.ENV_FILE || path.join(__dirname, '.env');
+if (fs.existsSync(ENV_FILE)) process.loadEnvFile(ENV_FILE);
 
 const app = express();
-app.use(cors());
+// The diagnostics headers of /apod-proxy (see sendEntry) are readable cross-origin too
+app.use(cors({ exposedHeaders: ['X-Apod-Cache', 'X-Apod-Attempts'] }));
+
+// Prometheus metrics, served at /metrics (see the "Monitoring" section in the README)
+const STARTED_AT = Date.now();
+const registry = createRegistry();
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15, 20, 30];
+const metrics = {
+  httpRequests: registry.counter('http_requests_total', 'HTTP requests handled, by route, method and status code.'),
+  httpDuration: registry.histogram('http_request_duration_seconds', 'HTTP request duration in seconds, by route.', LATENCY_BUCKETS),
+  cacheLookups: registry.counter('proxy_cache_lookups_total', 'Proxy cache lookups, by cache (apod, images, ...) and result (hit, stale, miss).'),
+  providerAttempts: registry.counter('apod_provider_attempts_total', 'APOD provider attempts, by provider and outcome (hit, miss, error, timeout, skipped).'),
+  providerSuccesses: registry.counter('apod_provider_success_total', 'APOD provider attempts that returned an entry, by provider.'),
+  providerLatency: registry.histogram('apod_provider_latency_seconds', 'APOD provider latency in seconds, by provider.', LATENCY_BUCKETS),
+  apodResolutions: registry.counter('apod_resolutions_total', 'APOD lookups answered, by the source that served them (not-found when nothing did).'),
+};
+
+// Count every request once it has finished. Routes are labelled by their Express
+// path (e.g. /apod-proxy) so query strings don't create new series.
+app.use((req, res, next) => {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    let route = 'static';
+    if (req.route) route = req.baseUrl + (Array.isArray(req.route.path) ? req.path : req.route.path);
+    else if (req.baseUrl) route = req.baseUrl; // answered by a router before any route (e.g. /admin errors)
+    else if (res.statusCode === 404) route = 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    metrics.httpRequests.inc({ route, method: req.method, status: res.statusCode });
+    metrics.httpDuration.observe({ route }, seconds);
+  });
+  next();
+});
 
 const PORT = process.env.PORT || 8000;
-const NASA_API_KEY = process.env.NASA_API_KEY || 'DEMO_KEY';
 
-// Simple in-memory cache: { key: { expires: ms, data: any } }
-const cache = new Map();
+// api.nasa.gov keys: NASA_API_KEYS=key1,key2 (and/or NASA_API_KEY), DEMO_KEY if unset.
+// The pool rotates keys when one runs low or gets a 429 (see lib/key-pool.js).
+const keyPool = createKeyPool(keysFromEnv(), {
+  lowWatermark: parseInt(process.env.NASA_KEY_LOW_WATERMARK, 10) || 5,
+  parkMs: parseInt(process.env.NASA_KEY_PARK_MS, 10) || 60 * 60 * 1000,
+});
+
+// Local state (cache files, etc.) lives under DATA_DIR. The default is a dot-directory,
+// and the static file server below refuses every path with a dot-segment in it.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '.data');
+
+// Persistent cache: one JSON file per key, survives restarts, capped with LRU eviction
 const CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const cache = createCacheStore({
+  dir: process.env.CACHE_DIR || path.join(DATA_DIR, 'cache'),
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 2000,
+  defaultTtl: CACHE_TTL_MS,
+});
+
+// Local APOD archive written by `node server.js ingest` (NDJSON, one entry per line).
+// The `archive` provider answers from it before any upstream is asked.
+const archive = createApodArchive(process.env.APOD_ARCHIVE_FILE || path.join(DATA_DIR, 'archive', 'apod.ndjson'));
+
+// Offline support for every upstream call made with axios:
+// HTTP_MODE=record saves responses to HTTP_FIXTURES_DIR, HTTP_MODE=replay serves them
+// back without touching the network (see lib/http-recorder.js)
+const HTTP_MODE = installHttpRecorder(axios, {
+  mode: process.env.HTTP_MODE,
+  dir: process.env.HTTP_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'http'),
+});
 
 function cacheGet(key) {
-  const entry = cache.get(key);
-  if (!entry) return null;
-  if (Date.now() > entry.expires) {
-    cache.delete(key);
-    return null;
-  }
-  return entry.data;
+  const data = cache.get(key);
+  metrics.cacheLookups.inc({ cache: key.split(':')[0], result: data ? 'hit' : 'miss' });
+  return data;
 }
 
 function cacheSet(key, data, ttl = CACHE_TTL_MS) {
-  cache.set(key, { data, expires: Date.now() + ttl });
+  cache.set(key, data, ttl);
 }
 
 function dateToApodPage(dateStr) {
@@ -44,193 +144,1046 @@ function dateToApodPage(dateStr) {
   return `https://apod.nasa.gov/apod/ap${yy}${m}${d}.html`;
 }
 
-async function fetchApodApi(date) {
-  try {
-    const url = `https://api.nasa.gov/planetary/apod?date=${date}&api_key=${NASA_API_KEY}`;
-    const res = await axios.get(url, { timeout: 15000 });
-    if (res.status === 200 && res.data) {
-      return { source: 'apod-api', raw: res.data };
+// Upstream "no such entry" answers (404, APOD API's 400 for unknown dates) are
+// misses, not failures: they return null. Timeouts, 429s and 5xx are thrown so
+// the circuit breakers below can see them.
+function isMissResponse(err) {
+  const status = err && err.response && err.response.status;
+  return Boolean(status && status >= 400 && status < 500 && status !== 429);
+}
+
+// Ask the APOD API (`query` is e.g. `date=2024-01-01`), trying each pooled key at most
+// once. A 429 parks that key and moves on to the next one; if every key is rate
+// limited the last 429 is thrown. Resolves to the response body, or null for a miss.
+async function requestApodApi(query, timeout) {
+  const tried = [];
+  let lastError = null;
+  for (let i = 0; i < keyPool.size; i++) {
+    const picked = keyPool.acquire(tried);
+    if (!picked) break;
+    tried.push(picked.id);
+    try {
+      const url = `https://api.nasa.gov/planetary/apod?${query}&api_key=${encodeURIComponent(picked.key)}`;
+      const res = await axios.get(url, { timeout });
+      keyPool.report(picked.id, { status: res.status, headers: res.headers });
+      return res.status === 200 && res.data ? res.data : null;
+    } catch (err) {
+      if (err.response) keyPool.report(picked.id, { status: err.response.status, headers: err.response.headers });
+      if (err.response && err.response.status === 429) {
+        lastError = err;
+        continue;
+      }
+      if (!isMissResponse(err)) throw err;
+      return null;
     }
-  } catch (err) {
-    // fallthrough
   }
-  return null;
+  if (lastError) throw lastError;
+  const err = new Error('All NASA API keys are rate limited');
+  err.code = 'NO_API_KEY';
+  throw err;
 }
 
-async function scrapeApodPage(pageUrl) {
-  try {
-    const res = await axios.get(pageUrl, { timeout: 15000, responseType: 'text' });
-    if (res.status !== 200 || !res.data) return null;
-    const $ = cheerio.load(res.data);
-
-    // Title: use <title> or the first <b> in the center
-    const title = $('title').first().text().trim() || $('b').first().text().trim();
-
-    // Try to find the main image or video
-    // Images are often the first <img> or wrapped in <a href=\"image...\">
-    let src = null;
-
-    // First check for an <a> that links to images (common pattern)
-    const aWithImage = $('a').filter((i, el) => {
-      const href = $(el).attr('href') || '';
-      return /image|apod|jpg|jpeg|png|gif|mov|mp4/i.test(href);
-    }).first();
-
-    if (aWithImage && aWithImage.attr('href')) {
-      src = aWithImage.attr('href');
-    }
+async function fetchApodApi(date, timeout = 15000) {
+  const data = await requestApodApi(`date=${date}`, timeout);
+  return data ? { source: 'apod-api', raw: data } : null;
+}
 
-    if (!src) {
-      const img = $('img').first();
-      if (img && img.attr('src')) src = img.attr('src');
-    }
+// A whole date range in one call (the API answers with an array, one item per day)
+async function fetchApodApiRange(startDate, endDate, timeout = 15000) {
+  const data = await requestApodApi(`start_date=${startDate}&end_date=${endDate}`, timeout);
+  return Array.isArray(data) ? data : [];
+}
 
-    if (!src) return null;
+// APOD API item -> the proxy's entry shape (null when it has no picture or video link)
+function entryFromApi(date, raw) {
+  if (!raw || !(raw.url || raw.hdurl)) return null;
+  return {
+    date,
+    title: raw.title || null,
+    explanation: raw.explanation || null,
+    media_type: raw.media_type || 'image',
+    url: raw.url || raw.hdurl || null,
+    hdurl: raw.hdurl || null,
+    copyright: raw.copyright || null,
+    source: 'apod-api',
+  };
+}
 
-    // Make absolute URL
-    const absolute = new URL(src, 'https://apod.nasa.gov/apod/').href;
+async function scrapeApodPage(pageUrl, timeout = 15000) {
+  try {
+    const res = await axios.get(pageUrl, { timeout, responseType: 'text' });
+    if (res.status !== 200 || !res.data) return null;
 
-    // Explanation text: gather paragraphs after the <b> title block
-    const explanation = $('body').text().replace(/\s+/g, ' ').trim().slice(0, 2000);
+    // Pull title, explanation, credit and the picture/video out of the page layout
+    const parsed = parseApodPage(res.data, pageUrl);
+    if (!parsed) return null;
 
     return {
       source: 'apod-scrape',
-      raw: {
-        url: absolute,
-        title: title || null,
-        explanation: explanation || null,
-      },
+      raw: parsed,
     };
   } catch (err) {
-    return null;
+    if (!isMissResponse(err)) throw err;
   }
+  return null;
 }
 
-async function fetchWaybackAndScrape(originalPage) {
+async function fetchWaybackAndScrape(originalPage, timeout = 10000) {
   try {
     const availUrl = `http://archive.org/wayback/available?url=${encodeURIComponent(originalPage)}`;
-    const availRes = await axios.get(availUrl, { timeout: 10000 });
+    const availRes = await axios.get(availUrl, { timeout });
     if (availRes.status !== 200 || !availRes.data) return null;
     const snapshots = availRes.data.archived_snapshots;
     if (!snapshots || !snapshots.closest || !snapshots.closest.available) return null;
     const snapshotUrl = snapshots.closest.url;
     // Fetch snapshot and scrape
-    return await scrapeApodPage(snapshotUrl);
+    return await scrapeApodPage(snapshotUrl, timeout);
   } catch (err) {
-    return null;
+    if (!isMissResponse(err)) throw err;
   }
+  return null;
 }
 
-async function fetchImagesApiFallback(date) {
-  // Use the NASA Images API to search for images in the same year as `date`.
-  // This is a best-effort fallback when APOD and Wayback don't return the asset.
-  try {
-    const year = date.split('-')[0];
-    const q = encodeURIComponent('apod');
-    const url = `https://images-api.nasa.gov/search?q=${q}&media_type=image&year_start=${year}&year_end=${year}`;
-    const res = await axios.get(url, { timeout: 15000 });
-    if (res.status !== 200 || !res.data || !res.data.collection || !res.data.collection.items) return null;
-    const items = res.data.collection.items;
-    // Find first item with links that look like a direct image
-    for (const item of items) {
-      if (!item.links || item.links.length === 0) continue;
-      const link = item.links.find(l => l.href && /\.(jpg|jpeg|png|gif)$/i.test(l.href));
-      if (link && link.href) {
-        const data = (item.data && item.data[0]) || {};
-        return {
-          date,
-          title: data.title || null,
-          explanation: data.description || data.description_508 || null,
-          media_type: 'image',
-          url: link.href,
-          source: 'images-api-fallback',
-        };
-      }
+// Images API searches are cached like APOD entries, keyed by their normalized params
+const IMAGES_CACHE_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+async function cachedImagesSearch(params, timeout) {
+  const key = searchCacheKey(params);
+  const cached = cacheGet(key);
+  if (cached) return { ...cached, cached: true };
+  const result = await searchImages(params, { timeout });
+  cacheSet(key, result, IMAGES_CACHE_TTL_MS);
+  return result;
+}
+
+// Minimum confidence (0-1) for an Images API result to stand in for an APOD
+const IMAGES_FALLBACK_MIN_CONFIDENCE = process.env.IMAGES_FALLBACK_MIN_CONFIDENCE !== undefined
+  ? Number(process.env.IMAGES_FALLBACK_MIN_CONFIDENCE)
+  : DEFAULT_MIN_CONFIDENCE;
+
+async function fetchImagesApiFallback(date, timeout = 15000, hints = {}) {
+  // Best-effort fallback when APOD and Wayback don't return the asset: search the
+  // NASA Images API with the title/keywords the other providers found and keep the
+  // best-scoring image (see lib/images-match.js). Without hints there is nothing to
+  // match on, so this is a miss.
+  if (!hasHints(hints)) return null;
+  const candidates = new Map();
+  for (const q of hintQueries(hints)) {
+    try {
+      const params = { q, media_type: 'image', page: 1, page_size: 100 };
+      const { items } = await cachedImagesSearch(params, timeout);
+      items.forEach(item => candidates.set(item.nasa_id || item.url, item));
+    } catch (err) {
+      if (!isMissResponse(err)) throw err;
     }
-  } catch (err) {
-    // ignore
   }
-  return null;
+
+  const match = pickBestMatch(Array.from(candidates.values()), hints, date, { minConfidence: IMAGES_FALLBACK_MIN_CONFIDENCE });
+  if (!match) return null;
+  return {
+    date,
+    title: match.item.title || null,
+    explanation: match.item.description || null,
+    media_type: 'image',
+    url: match.item.url,
+    nasa_id: match.item.nasa_id || null,
+    confidence: match.confidence,
+    matched_terms: match.matched_terms,
+    source: 'images-api-fallback',
+  };
 }
 
-app.get('/apod-proxy', async (req, res) => {
-  const date = req.query.date;
-  if (!date || typeof date !== 'string') {
-    return res.status(400).json({ error: 'Missing required `date` query parameter (YYYY-MM-DD).' });
+// Keep the title/keywords a provider found, for the Images API fallback
+function rememberHints(hints, { title, keywords }) {
+  if (!hints) return;
+  if (title && !hints.title) hints.title = title;
+  if (keywords && keywords.length && !(hints.keywords && hints.keywords.length)) hints.keywords = keywords;
+}
+
+// Turn a scrape/wayback result into the proxy's entry shape
+function entryFromPage(date, page, source, hints) {
+  if (page && page.raw) rememberHints(hints, page.raw);
+  if (!page || !page.raw || !page.raw.url) return null;
+  return {
+    date,
+    title: page.raw.title || null,
+    explanation: page.raw.explanation || null,
+    media_type: page.raw.media_type,
+    url: page.raw.url,
+    hdurl: page.raw.hdurl || null,
+    thumbnail_url: page.raw.thumbnail_url || null,
+    copyright: page.raw.copyright || page.raw.credit || null,
+    source,
+  };
+}
+
+// The upstream providers, in their default order. Each resolve() returns a
+// normalized entry or null; errors are thrown so the chain can record them.
+const PROVIDER_DEFAULTS = {
+  // 0) Local archive built by the ingest command (no network)
+  archive: {
+    timeout: 2000,
+    resolve: async (date) => {
+      const stored = archive.get(date);
+      if (!stored) return null;
+      return { ...stored, archived_source: stored.source || null, source: 'local-archive' };
+    },
+  },
+  // 1) Official NASA APOD API
+  api: {
+    timeout: 15000,
+    resolve: async (date, { timeout, hints }) => {
+      const fromApi = await fetchApodApi(date, timeout);
+      if (fromApi && fromApi.raw) rememberHints(hints, fromApi.raw);
+      return fromApi ? entryFromApi(date, fromApi.raw) : null;
+    },
+  },
+  // 2) Scrape the official apod.nasa.gov page
+  scrape: {
+    timeout: 15000,
+    resolve: async (date, { timeout, hints }) => entryFromPage(date, await scrapeApodPage(dateToApodPage(date), timeout), 'apod-scrape', hints),
+  },
+  // 3) Wayback Machine copy of the APOD page
+  wayback: {
+    timeout: 20000,
+    resolve: async (date, { timeout, hints }) => entryFromPage(date, await fetchWaybackAndScrape(dateToApodPage(date), timeout), 'apod-wayback', hints),
+  },
+  // 4) NASA Images API as a best-effort fallback (closest match to the title/keywords)
+  images: {
+    timeout: 15000,
+    resolve: async (date, { timeout, hints }) => {
+      const imagesFallback = await fetchImagesApiFallback(date, timeout, hints);
+      return imagesFallback && imagesFallback.url ? imagesFallback : null;
+    },
+  },
+};
+
+// One circuit breaker per upstream. After BREAKER_FAILURE_THRESHOLD timeouts/429s
+// in a row a source is skipped for BREAKER_COOLDOWN_MS, so a dead upstream doesn't
+// add its full timeout to every request.
+const breakerOptions = {
+  failureThreshold: parseInt(process.env.BREAKER_FAILURE_THRESHOLD, 10) || 3,
+  cooldownMs: parseInt(process.env.BREAKER_COOLDOWN_MS, 10) || 60 * 1000,
+};
+const BREAKER_NAMES = {
+  archive: 'localArchive',
+  api: 'fetchApodApi',
+  scrape: 'scrapeApodPage',
+  wayback: 'fetchWaybackAndScrape',
+  images: 'fetchImagesApiFallback',
+};
+
+// Order, enabled flag and timeout come from APOD_PROVIDERS / APOD_PROVIDER_<NAME>_* env vars
+const providers = loadProviderConfig(PROVIDER_DEFAULTS).map(cfg => ({
+  ...cfg,
+  resolve: PROVIDER_DEFAULTS[cfg.name].resolve,
+  breaker: createCircuitBreaker({ name: BREAKER_NAMES[cfg.name], ...breakerOptions }),
+}));
+const PROVIDER_NAMES = providers.map(p => p.name);
+
+// Full-text index over every APOD entry we know about (cache + local archive).
+// It is filled lazily on the first search and then kept up to date as new dates
+// are resolved. Images API fallback results are left out: they aren't real APODs.
+const searchIndex = createSearchIndex();
+let searchIndexReady = false;
+let indexedArchiveVersion = null;
+
+function isSearchableEntry(entry) {
+  return Boolean(entry && entry.date && entry.title && entry.source !== 'images-api-fallback');
+}
+
+function syncSearchIndex() {
+  if (!searchIndexReady) {
+    cache.keys()
+      .filter(key => key.startsWith('apod:'))
+      .forEach(key => {
+        const entry = cache.peek(key);
+        if (isSearchableEntry(entry)) searchIndex.add(entry);
+      });
+    searchIndexReady = true;
   }
+  // Index only what an ingest run added to the archive since the last search
+  const changes = archive.entriesSince(indexedArchiveVersion);
+  changes.entries.filter(isSearchableEntry).forEach(entry => searchIndex.add(entry));
+  indexedArchiveVersion = changes.version;
+}
+
+// Every resolved APOD entry we know about (cache + local archive), sorted by date, for
+// the feeds. Like the search index it is filled on first use and then kept up to date
+// by storeApodEntry() and the archive's new lines. Images API fallback results are
+// skipped: they are related images, not the APOD.
+const latestEntries = createLatestEntries();
+let latestEntriesReady = false;
+let latestArchiveVersion = null;
 
-  // Basic validation YYYY-MM-DD
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-    return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format.' });
+function syncLatestEntries() {
+  if (!latestEntriesReady) {
+    cache.keys()
+      .filter(key => key.startsWith('apod:'))
+      .forEach(key => {
+        const found = cache.inspect(key);
+        if (found && isSearchableEntry(found.data)) latestEntries.set(found.data, { storedAt: found.storedAt });
+      });
+    latestEntriesReady = true;
   }
+  // Archived entries win over cached copies of the same date
+  const changes = archive.entriesSince(latestArchiveVersion);
+  changes.entries.filter(isSearchableEntry).forEach(entry => {
+    const archived = { ...entry, archived_source: entry.source || null, source: 'local-archive' };
+    latestEntries.set(archived, { storedAt: changes.modifiedAt, archived: true });
+  });
+  latestArchiveVersion = changes.version;
+}
+
+// Lookups currently running, keyed like the cache (`apod:${date}`). Concurrent
+// requests for the same uncached date wait on the same promise instead of each
+// starting its own fallback chain.
+const inflight = new Map();
 
-  // Check cache
+// Run one date through the provider chain (by default archive -> api -> scrape -> wayback -> images).
+// Returns { entry, attempts }: `entry` is the normalized entry (with a `source` field)
+// or null when nothing was found, and `attempts` lists every provider that was tried.
+// Results are cached per date under `apod:${date}` so the single-date and range
+// routes share the same entries.
+//
+// `sources` (a list of provider names) is a debugging override: it runs exactly those
+// providers in that order, even disabled ones, and bypasses the cache in both directions.
+async function resolveApod(date, options = {}) {
+  const result = await lookupApod(date, options);
+  metrics.apodResolutions.inc({ source: result.entry ? result.entry.source : 'not-found' });
+  return result;
+}
+
+// Run providers and record per-provider metrics for every attempt
+async function runChain(chosen, date) {
+  const result = await runProviderChain(chosen, date);
+  result.attempts.forEach(attempt => {
+    metrics.providerAttempts.inc({ provider: attempt.provider, outcome: attempt.outcome });
+    if (attempt.outcome === 'hit') metrics.providerSuccesses.inc({ provider: attempt.provider });
+    if (attempt.outcome !== 'skipped') metrics.providerLatency.observe({ provider: attempt.provider }, attempt.latency_ms / 1000);
+  });
+  return result;
+}
+
+// True when the date really has no APOD: every provider that ran answered "not found"
+// (or the answer came from the negative cache, which only ever stores such results).
+// Errors, timeouts and open circuits say nothing about the date, so a lookup with any
+// of those must not be remembered as a miss, by us or by browsers and CDNs.
+function isConfirmedMiss(attempts) {
+  return attempts.length > 0 && attempts.every(a => a.outcome === 'miss' || a.outcome === 'negative');
+}
+
+// Status, Cache-Control and error message for a lookup that found nothing:
+// 404 for a confirmed miss, 503 when every provider was skipped, otherwise 502
+function sendLookupFailure(res, { date, attempts, cacheable = true, send }) {
+  if (isConfirmedMiss(attempts)) {
+    res.set('Cache-Control', cacheable ? `public, max-age=${Math.floor(NEGATIVE_TTL_MS / 1000)}` : 'no-store');
+    return send(404, `No APOD found for ${date}`);
+  }
+  res.set('Cache-Control', 'no-store');
+  if (attempts.every(a => a.outcome === 'skipped')) {
+    return send(503, `No APOD provider is available right now, so ${date} could not be looked up. Please try again later.`);
+  }
+  return send(502, `The APOD providers could not be reached for ${date}. Please try again later.`);
+}
+
+// Answers from the disk cache when it can. Entries past their freshness lifetime but
+// still inside their stale-while-revalidate window (see lib/cache-policy.js) are
+// served right away while a fresh copy is fetched in the background. Older expired
+// entries are only used when no provider can find the date any more: they come back
+// with `stale: true`. Dates that every provider said it doesn't have are remembered
+// for a few minutes.
+async function lookupApod(date, { sources } = {}) {
   const cacheKey = `apod:${date}`;
-  const cached = cacheGet(cacheKey);
-  if (cached) return res.json({ ...cached, cached: true });
 
-  // 1) Try APOD API
-  const fromApi = await fetchApodApi(date);
-  if (fromApi && fromApi.raw && (fromApi.raw.url || fromApi.raw.hdurl)) {
-    const out = {
-      date,
-      title: fromApi.raw.title || null,
-      explanation: fromApi.raw.explanation || null,
-      media_type: fromApi.raw.media_type || 'image',
-      url: fromApi.raw.url || fromApi.raw.hdurl || null,
-      hdurl: fromApi.raw.hdurl || null,
-      source: 'apod-api',
+  if (sources) {
+    const chosen = sources.map(name => providers.find(p => p.name === name));
+    return runChain(chosen, date);
+  }
+
+  const cached = cache.getWithMeta(cacheKey, { maxStale: STALE_IF_ERROR_MS });
+  const policy = cached && cachePolicyFor(cached.data, apodToday());
+  const usable = cached && (!cached.stale || Date.now() - cached.expires <= policy.staleWhileRevalidate);
+  metrics.cacheLookups.inc({ cache: 'apod', result: usable ? (cached.stale ? 'stale' : 'hit') : 'miss' });
+  if (usable) {
+    if (cached.stale) {
+      refreshApod(date).catch(err => {
+        // eslint-disable-next-line no-console
+        console.warn(`Background refresh of ${date} failed:`, err.message);
+      });
+    }
+    return {
+      entry: { ...cached.data, cached: true },
+      attempts: [{ provider: 'cache', outcome: cached.stale ? 'stale' : 'hit', latency_ms: 0 }],
+      storedAt: cached.storedAt,
+      expires: cached.expires,
     };
-    cacheSet(cacheKey, out);
-    return res.json(out);
   }
 
-  // 2) Try scraping the official APOD page
-  const apodPage = dateToApodPage(date);
-  const scraped = await scrapeApodPage(apodPage);
-  if (scraped && scraped.raw && scraped.raw.url) {
-    const out = {
-      date,
-      title: scraped.raw.title || null,
-      explanation: scraped.raw.explanation || null,
-      media_type: 'image',
-      url: scraped.raw.url,
-      source: 'apod-scrape',
+  // Recently not found: answer without asking the upstreams again
+  let result = cacheGet(`apod-miss:${date}`) ? { entry: null, attempts: [{ provider: 'cache', outcome: 'negative', latency_ms: 0 }] } : null;
+  if (!result) result = await refreshApod(date);
+
+  // stale-if-error: better an old copy than nothing
+  if (!result.entry && cached) {
+    return {
+      entry: { ...cached.data, cached: true, stale: true },
+      attempts: result.attempts.concat({ provider: 'cache', outcome: 'stale', latency_ms: 0 }),
+      storedAt: cached.storedAt,
+      expires: cached.expires,
     };
-    cacheSet(cacheKey, out);
-    return res.json(out);
   }
+  return result;
+}
+
+// Run the provider chain for `date` and cache what it finds. Concurrent callers for
+// the same date (including background refreshes) share one run.
+function refreshApod(date) {
+  const cacheKey = `apod:${date}`;
+  if (inflight.has(cacheKey)) return inflight.get(cacheKey);
+  const lookup = runChain(providers.filter(p => p.enabled), date)
+    .then(result => {
+      // Archive hits are already on disk; only cache what came from upstream
+      if (result.entry && result.entry.source !== 'local-archive') {
+        Object.assign(result, storeApodEntry(result.entry));
+      } else if (!result.entry && isConfirmedMiss(result.attempts)) {
+        cacheSet(`apod-miss:${date}`, { attempts: result.attempts }, NEGATIVE_TTL_MS);
+      }
+      return result;
+    })
+    .finally(() => inflight.delete(cacheKey));
+  inflight.set(cacheKey, lookup);
+  return lookup;
+}
+
+// Cache an upstream entry for as long as its cache policy allows.
+// Returns { storedAt, expires }.
+function storeApodEntry(entry) {
+  const { maxAge } = cachePolicyFor(entry, apodToday());
+  const storedAt = Date.now();
+  cacheSet(`apod:${entry.date}`, entry, maxAge);
+  if (searchIndexReady && isSearchableEntry(entry)) searchIndex.add(entry);
+  if (latestEntriesReady && isSearchableEntry(entry)) latestEntries.set(entry, { storedAt });
+  cache.delete(`apod-miss:${entry.date}`);
+  return { storedAt, expires: storedAt + maxAge };
+}
 
-  // 3) Wayback Machine fallback
-  const wayback = await fetchWaybackAndScrape(apodPage);
-  if (wayback && wayback.raw && wayback.raw.url) {
-    const out = {
+// Fill the cache for a date range with one APOD API call (the API accepts
+// start_date/end_date), so a calendar month costs one keyed request instead of one
+// per day. Only days that are neither cached nor archived are asked for; the days
+// the API doesn't return (or returns without media) are left for the per-day chain.
+async function prefillFromApiRange(dates) {
+  const api = providers.find(p => p.name === 'api');
+  if (!api || !api.enabled) return;
+  const missing = dates.filter(date => {
+    if (archive.get(date)) return false;
+    const cached = cache.getWithMeta(`apod:${date}`, { maxStale: STALE_IF_ERROR_MS });
+    return !cached || cached.stale;
+  });
+  if (missing.length < 2) return;
+
+  const wanted = new Set(missing);
+  try {
+    const items = await api.breaker.call(() => fetchApodApiRange(missing[0], missing[missing.length - 1], api.timeout));
+    items.forEach(raw => {
+      const entry = raw && wanted.has(raw.date) ? entryFromApi(raw.date, raw) : null;
+      if (entry) storeApodEntry(entry);
+    });
+  } catch (err) {
+    // The per-day chain below still runs for every day
+    // eslint-disable-next-line no-console
+    console.warn(`APOD API range ${missing[0]}..${missing[missing.length - 1]} failed:`, err.message);
+  }
+}
+
+// Run `worker` over `items` with at most `limit` calls in flight at once.
+// Results keep the same order as `items`.
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function runner() {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await worker(items[idx], idx);
+    }
+  }
+  const runners = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) runners.push(runner());
+  await Promise.all(runners);
+  return results;
+}
+
+// The APOD publication range, so clients don't have to hard-code "today"
+app.get('/apod-dates', (req, res) => {
+  res.json({ first_date: APOD_FIRST_DATE, today: apodToday(), time_zone: APOD_TIME_ZONE });
+});
+
+// Send a resolved entry. The body is only the entry itself, so it is byte-for-byte the
+// same for as long as the entry is, and can carry a strong ETag. How this request was
+// answered goes into headers:
+//   X-Apod-Cache: hit | stale | miss (stale = an expired copy, because no provider could answer)
+//   X-Apod-Attempts: archive=miss;ms=1, api=hit;ms=412  (provider=outcome;ms=latency)
+// Cache-Control, ETag and Last-Modified are set unless `cacheable` is false; Express
+// answers If-None-Match / If-Modified-Since with a 304 on its own when they still match.
+function sendEntry(res, { entry, attempts, storedAt, expires }, { cacheable = true } = {}) {
+  const { cached, stale, ...content } = entry;
+  const body = JSON.stringify(content);
+  res.set('X-Apod-Cache', stale ? 'stale' : cached ? 'hit' : 'miss');
+  res.set('X-Apod-Attempts', attempts.map(a => `${a.provider}=${a.outcome};ms=${a.latency_ms}`).join(', '));
+  if (cacheable) {
+    const policy = cachePolicyFor(content, apodToday());
+    res.set('Cache-Control', cacheControlHeader(policy, expires || Date.now() + policy.maxAge));
+    res.set('ETag', entityTag(body));
+    if (storedAt) res.set('Last-Modified', new Date(storedAt).toUTCString());
+  } else {
+    res.set('Cache-Control', 'no-store');
+  }
+  return res.type('json').send(body);
+}
+
+// /apod-proxy?date=YYYY-MM-DD (no date = today's APOD)
+app.get('/apod-proxy', async (req, res) => {
+  const date = req.query.date === undefined || req.query.date === '' ? apodToday() : req.query.date;
+
+  // Reject impossible dates (2023-02-30, before the first APOD, in the future)
+  // before they run the whole fallback chain
+  try {
+    validateApodDate(date);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  // Optional debugging override: ?sources=api,scrape
+  let sources;
+  if (req.query.sources !== undefined) {
+    try {
+      sources = parseSourcesParam(req.query.sources, PROVIDER_NAMES);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+
+  const result = await resolveApod(date, { sources });
+  const { entry, attempts } = result;
+  // Debug lookups with ?sources= skip the cache, so they aren't cacheable either
+  if (entry) return sendEntry(res, result, { cacheable: !sources });
+
+  // Let browsers and CDNs remember a real miss for as long as the proxy does
+  return sendLookupFailure(res, {
+    date,
+    attempts,
+    cacheable: !sources,
+    send: (status, error) => res.status(status).json({ error, attempts }),
+  });
+});
+
+// A random APOD. A few dates are tried in case one can't be resolved right now.
+const RANDOM_MAX_TRIES = 3;
+
+app.get('/apod-random', async (req, res) => {
+  const attempts = [];
+  for (const date of randomDates(RANDOM_MAX_TRIES)) {
+    const result = await resolveApod(date);
+    if (result.entry) {
+      // A different picture every time: never cache this URL
+      res.set('Cache-Control', 'no-store');
+      return res.json({ ...result.entry, attempts: attempts.concat(result.attempts) });
+    }
+    attempts.push(...result.attempts.map(a => ({ ...a, date })));
+  }
+  res.set('Cache-Control', 'no-store');
+  return res.status(isConfirmedMiss(attempts) ? 404 : 502).json({ error: 'Could not resolve a random APOD, please try again.', attempts });
+});
+
+// Range lookups: /apod-range?start_date=YYYY-MM-DD&end_date=YYYY-MM-DD or /apod-range?count=N
+// Date ranges are first fetched from the APOD API in one call (see prefillFromApiRange);
+// then every day goes through the same lookup as /apod-proxy (a few at a time), which
+// answers the prefilled days from the cache. The response is an array in date order. Days that could not be resolved are kept in
+// the array with `error` set and `source: null` so the client can mark them.
+const RANGE_MAX_DAYS = 100;
+const RANGE_CONCURRENCY = 4;
+
+app.get('/apod-range', async (req, res) => {
+  const { start_date: startDate, end_date: endDate, count } = req.query;
+  let dates;
+
+  if (count !== undefined) {
+    if (startDate || endDate) {
+      return res.status(400).json({ error: '`count` cannot be combined with `start_date` or `end_date`.' });
+    }
+    const n = parseInt(count, 10);
+    if (!/^\d+$/.test(String(count)) || n < 1 || n > RANGE_MAX_DAYS) {
+      return res.status(400).json({ error: `\`count\` must be a number between 1 and ${RANGE_MAX_DAYS}.` });
+    }
+    dates = randomDates(n);
+  } else {
+    if (!startDate || typeof startDate !== 'string') {
+      return res.status(400).json({ error: 'Missing required `start_date` query parameter (YYYY-MM-DD).' });
+    }
+    const end = typeof endDate === 'string' && endDate ? endDate : apodToday();
+    try {
+      validateApodDate(startDate, { name: 'start_date' });
+      validateApodDate(end, { name: 'end_date' });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (startDate > end) {
+      return res.status(400).json({ error: '`start_date` must not be after `end_date`.' });
+    }
+    dates = listDates(startDate, end);
+    if (dates.length > RANGE_MAX_DAYS) {
+      return res.status(400).json({ error: `Date ranges are limited to ${RANGE_MAX_DAYS} days.` });
+    }
+    await prefillFromApiRange(dates);
+  }
+
+  const results = await mapWithConcurrency(dates, RANGE_CONCURRENCY, async (date) => {
+    let attempts = [];
+    try {
+      const result = await resolveApod(date);
+      attempts = result.attempts;
+      if (result.entry) return { ...result.entry, attempts };
+    } catch (err) {
+      // treated as a failed day below
+    }
+    const error = isConfirmedMiss(attempts)
+      ? `No APOD found for ${date}`
+      : `The APOD providers could not be reached for ${date}`;
+    return { date, source: null, error, attempts };
+  });
+
+  return res.json(results);
+});
+
+// Full-text search over APOD titles, explanations and credits:
+// /apod-search?q=witch's broom&start_date=2020-01-01&end_date=2025-12-31&limit=20&offset=0
+// Words must all match; "quoted phrases" must match exactly. Only dates that are in
+// the cache or the local archive can be found (see `npm run ingest`).
+app.get('/apod-search', (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q) return res.status(400).json({ error: 'Missing required `q` query parameter.' });
+
+  const { start_date: startDate, end_date: endDate } = req.query;
+  const badDate = [startDate, endDate].some(d => d !== undefined && Number.isNaN(parseIsoDate(d)));
+  if (badDate) return res.status(400).json({ error: 'Dates must be real calendar dates in YYYY-MM-DD format.' });
+
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ error: '`limit` must be a whole number between 1 and 100.' });
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: '`offset` must be a whole number of 0 or more.' });
+  }
+
+  syncSearchIndex();
+  const { total, results } = searchIndex.search(q, { start_date: startDate, end_date: endDate, limit, offset });
+  return res.json({ query: q, total, limit, offset, indexed: searchIndex.size(), results });
+});
+
+// Feeds of the latest resolved entries: /feed.xml (Atom), /feed.rss (RSS 2.0) and
+// /feed.json (JSON Feed 1.1). `?limit=` picks how many items (default 30, max 100).
+// Responses carry a strong ETag (a hash of the body) and a Last-Modified taken from
+// when the newest of the included entries was stored, so readers polling with
+// If-None-Match / If-Modified-Since get a 304 only when nothing changed.
+const FEED_FORMATS = {
+  'feed.xml': { type: 'application/atom+xml; charset=utf-8', build: buildAtom },
+  'feed.rss': { type: 'application/rss+xml; charset=utf-8', build: buildRss },
+  'feed.json': { type: 'application/feed+json; charset=utf-8', build: (entries, site) => JSON.stringify(buildJsonFeed(entries, site), null, 2) },
+};
+
+function siteBaseUrl(req) {
+  return (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+app.get(['/feed.xml', '/feed.rss', '/feed.json'], (req, res) => {
+  const format = FEED_FORMATS[req.path.slice(1)];
+  const limit = req.query.limit === undefined ? 30 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ error: '`limit` must be a whole number between 1 and 100.' });
+  }
+
+  syncLatestEntries();
+  const latest = latestEntries.latest(limit);
+  const entries = latest.map(item => item.entry);
+  const baseUrl = siteBaseUrl(req);
+  // Feed items link to our share pages, which carry previews and open the app
+  const body = format.build(entries, { baseUrl, itemUrl: entry => `${baseUrl}/apod/${entry.date}` });
+
+  res.set('Content-Type', format.type);
+  res.set('Cache-Control', 'public, max-age=300');
+  res.set('ETag', entityTag(body));
+  // Not the newest entry's date: re-fetching today's entry or adding an older day
+  // changes the feed too. A purge counts as a change as well.
+  const lastModified = Math.max(latestEntries.removedAt(), ...latest.map(item => item.storedAt || 0));
+  if (lastModified) res.set('Last-Modified', new Date(lastModified).toUTCString());
+  // Express answers 304 on its own when the request's validators still match
+  return res.send(body);
+});
+
+// Share pages: /apod/YYYY-MM-DD renders a small HTML page with OpenGraph/Twitter card
+// tags for that day (so pasted links get a preview) and sends visitors on to the app.
+app.get('/apod/:date', async (req, res) => {
+  const { date } = req.params;
+  res.type('html');
+  try {
+    validateApodDate(date);
+  } catch (err) {
+    return res.status(400).send(renderMissingPage(err.message.replace(/`/g, '')));
+  }
+
+  const result = await resolveApod(date);
+  if (!result.entry) {
+    return sendLookupFailure(res, {
       date,
-      title: wayback.raw.title || null,
-      explanation: wayback.raw.explanation || null,
-      media_type: 'image',
-      url: wayback.raw.url,
-      source: 'apod-wayback',
+      attempts: result.attempts,
+      send: (status, error) => res.status(status).send(renderMissingPage(
+        status === 404 ? `No Astronomy Picture of the Day could be found for ${date}.` : error,
+      )),
+    });
+  }
+
+  const body = renderSharePage(result.entry, { baseUrl: siteBaseUrl(req) });
+  const policy = cachePolicyFor(result.entry, apodToday());
+  res.set('Cache-Control', cacheControlHeader(policy, result.expires || Date.now() + policy.maxAge));
+  res.set('ETag', entityTag(body));
+  return res.send(body);
+});
+
+// Gauges computed when /metrics is scraped
+registry.gauge('proxy_cache_entries', 'Entries in the persistent proxy cache.', () => [{ value: cache.size() }]);
+registry.gauge('apod_inflight_lookups', 'APOD lookups currently running upstream.', () => [{ value: inflight.size }]);
+registry.gauge('apod_provider_circuit_open', '1 when a provider is being skipped by its circuit breaker.', () => {
+  return providers.map(p => ({ labels: { provider: p.name }, value: p.breaker.status().state === 'open' ? 1 : 0 }));
+});
+registry.gauge('nasa_api_key_remaining', 'Last X-RateLimit-Remaining seen per NASA API key (-1 when unknown).', () => {
+  return keyPool.health().map(k => ({ labels: { key: k.id }, value: k.remaining === null ? -1 : k.remaining }));
+});
+registry.gauge('nasa_api_key_parked', '1 when a NASA API key is parked after hitting its rate limit.', () => {
+  return keyPool.health().map(k => ({ labels: { key: k.id }, value: k.state === 'parked' ? 1 : 0 }));
+});
+registry.gauge('process_uptime_seconds', 'Seconds since the proxy started.', () => [{ value: Math.round((Date.now() - STARTED_AT) / 1000) }]);
+
+// Liveness: the process is up and answering
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptime_s: Math.round((Date.now() - STARTED_AT) / 1000) });
+});
+
+// Readiness: the cache directory is writable and at least one upstream provider is
+// enabled and not cooling down behind its circuit breaker
+app.get('/readyz', (req, res) => {
+  const checks = {};
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.accessSync(DATA_DIR, fs.constants.W_OK);
+    checks.data_dir = 'ok';
+  } catch (err) {
+    checks.data_dir = `not writable: ${err.code || err.message}`;
+  }
+  const usable = providers.filter(p => p.enabled && p.name !== 'archive' && p.breaker.status().state !== 'open');
+  checks.providers = usable.length ? `ok (${usable.map(p => p.name).join(', ')})` : 'no upstream provider available';
+
+  const ready = checks.data_dir === 'ok' && usable.length > 0;
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+});
+
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(registry.render());
+});
+
+// Key health for operators: rate-limit state per key label (key values are never shown)
+app.get('/keys-health', (req, res) => {
+  res.json({ keys: keyPool.health() });
+});
+
+// Images API search: /images-search?q=nebula&page=1&page_size=24&media_type=image,video
+// Optional filters: year_start, year_end, center. Returns normalized gallery items plus
+// `total_hits` and `next_page` (null on the last page). Cached server-side for 6 hours.
+app.get('/images-search', async (req, res) => {
+  let params;
+  try {
+    params = parseSearchParams(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    return res.json(await cachedImagesSearch(params));
+  } catch (err) {
+    const status = err.response && err.response.status;
+    if (status === 400 || status === 404) {
+      return res.status(400).json({ error: 'The Images API rejected this search.' });
+    }
+    return res.status(502).json({ error: 'Images API search failed. Please try again later.' });
+  }
+});
+
+// Files of one Images API item for the lightbox: /images-asset/PIA12345 answers
+// { nasa_id, video, image } (see fetchAssets in lib/images-search.js). The app loads
+// those files through /media, so the browser never talks to images-api.nasa.gov.
+// Manifests hardly ever change, so they are cached server-side for a week.
+const IMAGES_ASSET_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+app.get('/images-asset/:nasaId', async (req, res) => {
+  let nasaId;
+  try {
+    nasaId = parseNasaId(req.params.nasaId);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const key = `images-asset:${nasaId}`;
+  const cached = cacheGet(key);
+  if (cached) return res.json(cached);
+  try {
+    const assets = await fetchAssets(nasaId);
+    cacheSet(key, assets, IMAGES_ASSET_TTL_MS);
+    return res.json(assets);
+  } catch (err) {
+    const status = err.response && err.response.status;
+    if (status === 404) return res.status(404).json({ error: `No NASA Images item ${nasaId}.` });
+    return res.status(502).json({ error: 'Images API asset lookup failed. Please try again later.' });
+  }
+});
+
+// Movie details for the lightbox: /omdb-lookup?t=Apollo 13&y=1995
+// The OMDb key comes from OMDB_API_KEY on the server; only a few fields are returned.
+const OMDB_API_KEY = (process.env.OMDB_API_KEY || '').trim();
+const OMDB_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // a week; film details rarely change
+const OMDB_MISS_TTL_MS = 24 * 60 * 60 * 1000; // remember "no such film" for a day
+
+app.get('/omdb-lookup', async (req, res) => {
+  if (!OMDB_API_KEY) {
+    return res.status(503).json({ error: 'Movie lookups are not configured on this server (set OMDB_API_KEY).' });
+  }
+  let params;
+  try {
+    params = parseLookupParams(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const key = lookupCacheKey(params);
+  let cached = cacheGet(key);
+  if (!cached) {
+    try {
+      const movie = await lookupMovie(params, { apiKey: OMDB_API_KEY });
+      cached = { movie };
+      cacheSet(key, cached, movie ? OMDB_CACHE_TTL_MS : OMDB_MISS_TTL_MS);
+    } catch (err) {
+      return res.status(502).json({ error: 'OMDb lookup failed. Please try again later.' });
+    }
+  }
+
+  if (!cached.movie) return res.status(404).json({ error: `No movie found for "${params.t}"` });
+  return res.json(cached.movie);
+});
+
+// Media proxy: /media?url=https://apod.nasa.gov/apod/image/... streams NASA image and
+// video assets through this server, caches them on disk and supports Range requests.
+// MEDIA_ALLOWED_HOSTS adds extra hosts (comma-separated, any path) to the built-in list.
+const mediaProxy = createMediaProxy({
+  dir: process.env.MEDIA_CACHE_DIR || path.join(DATA_DIR, 'media'),
+  allowedSources: DEFAULT_MEDIA_SOURCES.concat(sourcesForHosts((process.env.MEDIA_ALLOWED_HOSTS || '').split(',').map(h => h.trim()).filter(Boolean))),
+  freshMs: parseInt(process.env.MEDIA_FRESH_MS, 10) || 24 * 60 * 60 * 1000,
+  maxFileBytes: parseInt(process.env.MEDIA_MAX_FILE_BYTES, 10) || 200 * 1024 * 1024,
+  maxCacheBytes: parseInt(process.env.MEDIA_CACHE_MAX_BYTES, 10) || 2 * 1024 * 1024 * 1024,
+});
+
+app.get('/media', (req, res, next) => mediaProxy.handle(req, res).catch(next));
+
+// Cache administration (inspect, purge, warm), protected by ADMIN_TOKEN:
+//   Authorization: Bearer <ADMIN_TOKEN>
+// The routes answer 503 while no token is configured.
+const ADMIN_TOKEN = (process.env.ADMIN_TOKEN || '').trim();
+const WARM_MAX_DAYS = 366;
+const WARM_CONCURRENCY = 2;
+const adminJobs = createJobRegistry();
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'The admin API is disabled (set ADMIN_TOKEN to enable it).' });
+  }
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  // Compare hashes so the check takes the same time whatever the length of the guess
+  const given = crypto.createHash('sha256').update(match ? match[1].trim() : '').digest();
+  const expected = crypto.createHash('sha256').update(ADMIN_TOKEN).digest();
+  if (!match || !crypto.timingSafeEqual(given, expected)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Missing or wrong admin token.' });
+  }
+  return next();
+}
+
+// Purged dates stop showing up in /apod-search and the feeds unless the local archive
+// still has them
+function forgetPurgedEntries(dates) {
+  const gone = dates.filter(date => !archive.has(date));
+  if (searchIndexReady) gone.forEach(date => searchIndex.remove(date));
+  if (latestEntriesReady) gone.forEach(date => latestEntries.remove(date));
+}
+
+// Dates from ?date= or ?start_date=&end_date= (query string or JSON body).
+// Throws with a message suitable for a 400 response.
+function adminDates(input) {
+  if (input.date !== undefined) return [validateApodDate(input.date)];
+  if (input.start_date === undefined) throw new Error('Pass `date`, or `start_date` and `end_date`.');
+  const start = validateApodDate(input.start_date, { name: 'start_date' });
+  const end = validateApodDate(input.end_date === undefined ? apodToday() : input.end_date, { name: 'end_date' });
+  if (start > end) throw new Error('`start_date` must not be after `end_date`.');
+  return listDates(start, end);
+}
+
+const admin = express.Router();
+admin.use(requireAdmin, express.json());
+
+// GET /admin/cache?prefix=apod:&limit=100&offset=0 — cached keys, most recently used first
+admin.get('/cache', (req, res) => {
+  const prefix = typeof req.query.prefix === 'string' ? req.query.prefix : '';
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: '`limit` must be a whole number between 1 and 1000.' });
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: '`offset` must be a whole number of 0 or more.' });
+  }
+
+  const keys = cache.keys().reverse().filter(key => key.startsWith(prefix));
+  const entries = keys.slice(offset, offset + limit).map(key => {
+    const found = cache.inspect(key);
+    const data = (found && found.data) || {};
+    return {
+      key,
+      date: data.date || null,
+      source: data.source || null,
+      stored_at: found && found.storedAt ? new Date(found.storedAt).toISOString() : null,
+      expires_at: found ? new Date(found.expires).toISOString() : null,
+      expired: Boolean(found && found.stale),
     };
-    cacheSet(cacheKey, out);
-    return res.json(out);
+  });
+  return res.json({ total: keys.length, limit, offset, entries });
+});
+
+// DELETE /admin/cache?date=... | ?start_date=...&end_date=... | ?all=true
+// Removes the cached entries (and remembered misses) for those dates, or everything.
+admin.delete('/cache', (req, res) => {
+  if (req.query.all === 'true') {
+    const cachedDates = cache.keys().filter(key => key.startsWith('apod:')).map(key => key.slice(5));
+    const purged = cache.clear();
+    forgetPurgedEntries(cachedDates);
+    return res.json({ purged });
   }
+  let dates;
+  try {
+    dates = adminDates(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: `${err.message} Use \`all=true\` to purge everything.` });
+  }
+  let purged = 0;
+  dates.forEach(date => {
+    if (cache.delete(`apod:${date}`)) purged += 1;
+    cache.delete(`apod-miss:${date}`);
+  });
+  forgetPurgedEntries(dates);
+  return res.json({ purged, dates: dates.length });
+});
 
-  // 4) Try NASA Images API as a best-effort fallback (same year)
-  const imagesFallback = await fetchImagesApiFallback(date);
-  if (imagesFallback && imagesFallback.url) {
-    cacheSet(cacheKey, imagesFallback);
-    return res.json(imagesFallback);
+// POST /admin/cache/warm { start_date, end_date, refresh } — resolve every date in the
+// range in the background. `refresh: true` refetches dates that are already cached.
+// Answers 202 with the job; follow it with GET /admin/jobs/:id.
+admin.post('/cache/warm', (req, res) => {
+  const input = { ...req.query, ...(req.body || {}) };
+  let dates;
+  try {
+    dates = adminDates(input);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (dates.length > WARM_MAX_DAYS) {
+    return res.status(400).json({ error: `Warm at most ${WARM_MAX_DAYS} days at a time (use \`npm run ingest\` for more).` });
   }
+  const refresh = input.refresh === true || input.refresh === 'true';
 
-  return res.status(404).json({ error: `No APOD found for ${date}` });
+  const job = adminJobs.start({
+    type: 'warm',
+    items: dates,
+    params: { start_date: dates[0], end_date: dates[dates.length - 1], refresh },
+    concurrency: WARM_CONCURRENCY,
+    run: async (date) => {
+      const result = refresh ? await refreshApod(date) : await resolveApod(date);
+      return Boolean(result.entry);
+    },
+  });
+  res.set('Location', `/admin/jobs/${job.id}`);
+  return res.status(202).json(job);
 });
 
-// Serve static files from the project root so index.html works when visiting the server
-app.use(express.static(path.join(__dirname)));
+admin.get('/jobs', (req, res) => res.json(adminJobs.list()));
+
+admin.get('/jobs/:id', (req, res) => {
+  const job = adminJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'No such job.' });
+  return res.json(job);
+});
+
+// DELETE /admin/jobs/:id — cancel a running job
+admin.delete('/jobs/:id', (req, res) => {
+  const job = adminJobs.cancel(req.params.id);
+  if (!job) return res.status(404).json({ error: 'No such job.' });
+  return res.json(job);
+});
 
-app.listen(PORT, () => {
-  // eslint-disable-next-line no-console
-  console.log(`APOD proxy server listening on http://localhost:${PORT}`);
+// Request bodies that can't be read (bad JSON, too large, ...) get a JSON error like
+// every other admin answer instead of Express's HTML error page
+admin.use((err, req, res, next) => {
+  if (!err.type || !err.status) return next(err);
+  const error = err.type === 'entity.parse.failed' ? 'Request body is not valid JSON.' : err.message;
+  return res.status(err.status).json({ error });
 });
 
+app.use('/admin', admin);
+
+// Serve static files from the project root so index.html works when visiting the server
+// `dotfiles: 'ignore'` checks every path segment (the default only checks the last one),
+// so .data/ (cache, archive, media), .env and .git all answer 404
+app.use(express.static(path.join(__dirname), { dotfiles: 'ignore' }));
+
+// `node server.js ingest --from ... --to ...` builds the local archive instead of
+// starting the server (see lib/ingest.js for the options)
+async function ingestCommand(argv) {
+  const opts = parseIngestArgs(argv);
+  const from = opts.from || APOD_FIRST_DATE;
+  const to = opts.to || apodToday();
+  validateApodDate(from, { name: '--from' });
+  validateApodDate(to, { name: '--to' });
+  if (from > to) throw new Error('--from must not be after --to.');
+  // Always ask the upstreams (not the archive we're building, and not the cache)
+  const sources = providers.filter(p => p.enabled && p.name !== 'archive').map(p => p.name);
+  await runIngest({
+    archive,
+    dates: listDates(from, to),
+    resolve: date => resolveApod(date, { sources }),
+    delay: opts.delay,
+    restart: opts.restart,
+    allowFallback: opts.allowFallback,
+  });
+}
+
+if (process.argv[2] === 'ingest') {
+  ingestCommand(process.argv.slice(3)).catch(err => {
+    // eslint-disable-next-line no-console
+    console.error(`Ingest failed: ${err.message}`);
+    process.exit(1);
+  });
+} else {
+  app.listen(PORT, () => {
+    // eslint-disable-next-line no-console
+    console.log(`APOD proxy server listening on http://localhost:${PORT}`);
+    if (HTTP_MODE !== 'live') {
+      // eslint-disable-next-line no-console
+      console.log(`Upstream HTTP mode: ${HTTP_MODE}`);
+    }
+  });
+}